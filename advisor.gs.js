@@ -0,0 +1,155 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * A take-or-pass hint for the active player, meant to help new players learn
+ * when a pot is worth taking. Hints are off by default, and never available in
+ * league games or match rounds, where they would be an unfair advantage.
+ */
+
+// Taking a card is recommended when it costs (after the pot) up to this many
+// points, less a point for each token the player has left: the more tokens
+// they have, the longer they can afford to wait for the pot to grow.
+const ADVISOR_MAX_ACCEPTABLE_COST = 12;
+const ADVISOR_MIN_ACCEPTABLE_COST = 3;
+
+// Below this many tokens the player is warned they might soon be forced to take
+const ADVISOR_LOW_TOKENS = 3;
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function showHint() {
+  const game = getGameInProgress();
+
+  assertHintsAllowed(game);
+  if (game.phase !== PHASE.TURN) {
+    throw new Error("Hints are only given when there is a card to take");
+  }
+
+  // The hint is based on the player's tokens, which could be hidden
+  assertActiveSeatAccount();
+
+  const { recommendation, reasons } = computeHint(game);
+  const ui = SpreadsheetApp.getUi();
+  ui.alert(
+    `Hint for ${game.players[game.activePlayer]}: ${
+      recommendation === "take" ? "take it" : "no thanks"
+    }`,
+    reasons.join("\n"),
+    ui.ButtonSet.OK,
+  );
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function assertHintsAllowed(game) {
+  if (game.options.LEAGUE) {
+    throw new Error("Hints aren't available in league games");
+  }
+
+  if (game.matchId != null) {
+    throw new Error("Hints aren't available in match rounds");
+  }
+
+  if (!game.options.HINTS) {
+    throw new Error(
+      "Hints are turned off, they could be turned on in Settings",
+    );
+  }
+}
+
+/**
+ * Compares taking the current card with passing on it for the active player,
+ * and explains the recommendation.
+ */
+function computeHint(game) {
+  const player = game.activePlayer;
+  const card = game.currentCard;
+  const hand = game.hands[player];
+  const tokens = game.tokens[player];
+  const { tokenValue } = getScoringRule(game.options);
+
+  const reasons = [];
+  const cardPoints = cardCost(hand, card, game.options);
+  const adjacentRun = Array.from(groupConsecutiveRuns(hand)).find(
+    (run) => run[0] === card + 1 || run[run.length - 1] === card - 1,
+  );
+  const cardEffect =
+    cardPoints >= 0
+      ? `adds ${cardPoints} points to your cards`
+      : `takes ${-cardPoints} points off your cards`;
+  if (adjacentRun != null) {
+    reasons.push(
+      `${card} extends your run ${describeRun(
+        adjacentRun,
+      )}, so it ${cardEffect}.`,
+    );
+  } else {
+    reasons.push(`${card} ${cardEffect}.`);
+  }
+
+  const potValue = game.pool * tokenValue;
+  const netCost = cardPoints - potValue;
+  reasons.push(
+    game.pool > 0
+      ? `The pot has ${
+          game.pool
+        }${TOKEN_REPR}, worth ${potValue} points, so taking it ${
+          netCost >= 0 ? `costs you ${netCost}` : `saves you ${-netCost}`
+        } points.`
+      : "The pot is empty.",
+  );
+
+  if (tokens === 0) {
+    reasons.push(`You have no ${TOKEN_REPR} left, so you can't pass.`);
+    return { recommendation: "take", reasons };
+  }
+
+  if (netCost <= 0) {
+    reasons.push("Taking it doesn't cost you anything, take it!");
+    return { recommendation: "take", reasons };
+  }
+
+  const rivals = game.players.filter(
+    (_, other) =>
+      other !== player &&
+      (game.hands[other].includes(card - 1) ||
+        game.hands[other].includes(card + 1)),
+  );
+  if (rivals.length > 0) {
+    reasons.push(
+      `It also fits ${rivals.join(
+        " and ",
+      )}'s cards, so it might not come back to you.`,
+    );
+  }
+
+  const acceptableCost = Math.max(
+    ADVISOR_MIN_ACCEPTABLE_COST,
+    ADVISOR_MAX_ACCEPTABLE_COST - tokens,
+  );
+  if (rivals.length > 0 && adjacentRun != null) {
+    reasons.push(
+      "It's worth more to you than to them, take it before they do.",
+    );
+    return { recommendation: "take", reasons };
+  }
+
+  if (netCost <= acceptableCost) {
+    reasons.push(
+      tokens <= ADVISOR_LOW_TOKENS
+        ? `With only ${tokens}${TOKEN_REPR} left, the pot will help you keep passing on worse cards.`
+        : "That's a fair price for this card.",
+    );
+    return { recommendation: "take", reasons };
+  }
+
+  reasons.push(
+    `Passing costs you just 1${TOKEN_REPR} (you have ${tokens}${TOKEN_REPR}), let the pot grow first.`,
+  );
+  return { recommendation: "pass", reasons };
+}
+
+function describeRun(run) {
+  return run.length > 1 ? `${run[0]}-${run[run.length - 1]}` : `${run[0]}`;
+}
@@ -0,0 +1,109 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * Computer controlled players. A seat is played by a bot when the name entered
+ * for it at setup is "bot:<strategy>". Bots play through the same game actions
+ * as humans, right after a human action hands them the turn.
+ */
+const BOT_NAME_PREFIX = "bot:";
+const BOT_MARKER = "🤖";
+
+const BOT_STRATEGIES = {
+  threshold: {
+    title: "Threshold",
+    // Takes the card once the pool covers enough of its value
+    shouldTake: (game) => game.currentCard - game.pool <= 10,
+  },
+
+  runs: {
+    title: "Runs",
+    // Takes the card when it's cheap for its hand, cards that extend one of
+    // its runs cost nothing (or even lower its score).
+    shouldTake: (game, player) =>
+      cardCost(game.hands[player], game.currentCard, game.options) -
+        game.pool <=
+      5,
+  },
+
+  random: {
+    title: "Random",
+    shouldTake: () => randInt(Math.random, 2) === 0,
+  },
+};
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Bots play right away, without pausing between their actions, since this is
+ * called while holding the lock that all the other players are waiting on.
+ * Their actions are logged like any other, and summed up in a toast so that
+ * the humans could follow what happened.
+ */
+function playBotTurns() {
+  let game = getGame();
+  const descriptions = [];
+  while (game != null && isBotTurn(game)) {
+    const action = decideBotAction(game);
+    descriptions.push(describeAction(game, action));
+    game = playAction(action).game;
+  }
+
+  if (descriptions.length > 0) {
+    SpreadsheetApp.getActive().toast(
+      descriptions.join("\n"),
+      getMessage("BOT_PLAYED_TITLE", { marker: BOT_MARKER }),
+    );
+  }
+}
+
+function isBotTurn(game) {
+  return (
+    game.bots != null &&
+    game.bots[game.activePlayer] != null &&
+    (game.phase === PHASE.REVEAL || game.phase === PHASE.TURN)
+  );
+}
+
+function decideBotAction(game) {
+  if (game.phase === PHASE.REVEAL) {
+    return "reveal";
+  }
+
+  const player = game.activePlayer;
+  if (game.tokens[player] === 0) {
+    return "take";
+  }
+
+  return BOT_STRATEGIES[game.bots[player]].shouldTake(game, player)
+    ? "take"
+    : "pass";
+}
+
+/**
+ * @param seats the seats already taken, bots with the same strategy are
+ * numbered since players are told apart by their names (e.g. in the league).
+ */
+function parseSeat(text, seats = []) {
+  const trimmed = text.trim();
+  if (!trimmed.toLowerCase().startsWith(BOT_NAME_PREFIX)) {
+    return { name: text, bot: null };
+  }
+
+  const strategy = trimmed.slice(BOT_NAME_PREFIX.length).trim().toLowerCase();
+  if (!hasOwnKey(BOT_STRATEGIES, strategy)) {
+    throw new Error(
+      `Unknown bot strategy '${strategy}', expected one of: ${Object.keys(
+        BOT_STRATEGIES,
+      ).join(", ")}`,
+    );
+  }
+
+  const sameStrategyCount = seats.filter(({ bot }) => bot === strategy).length;
+  return {
+    name: `${BOT_MARKER} ${BOT_STRATEGIES[strategy].title}${
+      sameStrategyCount > 0 ? ` ${sameStrategyCount + 1}` : ""
+    }`,
+    bot: strategy,
+  };
+}
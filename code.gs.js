@@ -4,9 +4,10 @@
 /** @OnlyCurrentDoc */
 
 /**
- * Game option modifiers (TODO: create settings page)
+ * Default game option modifiers, these can be changed per document via the
+ * Settings page (see settings.gs.js).
  */
-const OPTIONS = {
+const DEFAULT_OPTIONS = {
   SETUP: {
     /**
      * Remove the X0 cards from the game, out of the initial cards removed?
@@ -28,8 +29,42 @@ const OPTIONS = {
      * Default: false
      */
     PICK_START_PLAYER: false,
+
+    /**
+     * Ask for a seed when creating a new table? Otherwise a random seed is
+     * generated. Tables created with the same seed and players get the same
+     * player order, start player, removed cards and draw order.
+     * Options: true/false
+     * Default: false
+     */
+    ASK_SEED: false,
+  },
+
+  DECK: {
+    /**
+     * The lowest and highest card in the deck, each card in between appears
+     * once.
+     * Default: 3 to 35
+     */
+    MIN_CARD: 3,
+    MAX_CARD: 35,
+
+    /**
+     * How many cards are removed from the deck, face down, at setup (twice as
+     * many in a 2 player game).
+     * Default: 9
+     */
+    CARDS_REMOVED: 9,
   },
 
+  /**
+   * How the final score is counted and how ties are broken (see
+   * scoring.gs.js).
+   * Options: standard/highestCard/doubleTokens
+   * Default: standard
+   */
+  SCORING: "standard",
+
   /**
    * After taking a card, should the next card be auto-revealed?
    * Options: true/false
@@ -43,54 +78,136 @@ const OPTIONS = {
    * Default: true
    */
   HIDDEN_TOKENS: true,
+
+  TURN_TIMER: {
+    /**
+     * Time limit for each turn, in minutes (0 for no limit). Turns are checked
+     * once a minute.
+     * Default: 0
+     */
+    MINUTES: 0,
+
+    /**
+     * When a player runs out of time, pass for them (or take the card when
+     * they have no tokens left)? Otherwise their time out is only recorded.
+     * Options: true/false
+     * Default: false
+     */
+    AUTO_PASS: false,
+  },
+
+  /**
+   * Show the card tracker under the table? It marks each card as taken (and by
+   * whom), offered or unseen (still in the deck, or removed at setup).
+   * Options: true/false
+   * Default: false
+   */
+  CARD_TRACKER: false,
+
+  /**
+   * Show each player's current score next to their name during play? (the net
+   * score, after tokens, is only shown when the tokens are exposed)
+   * Options: true/false
+   * Default: false
+   */
+  LIVE_SCORE: false,
+
+  /**
+   * The colors and font of the table (see themes.gs.js)
+   * Options: "classic", "dark", "highContrast", "colorblind"
+   * Default: "classic"
+   */
+  THEME: "classic",
+
+  /**
+   * Where the players sit on the table (see layout.gs.js)
+   * Options: "wide" (to the right of the piles), "compact" (below the piles)
+   * Default: "wide"
+   */
+  LAYOUT: "wide",
+
+  /**
+   * The language of the table texts and prompts (see messages.gs.js)
+   * Options: "en", "he", "es"
+   * Default: "en"
+   */
+  LANGUAGE: "en",
+
+  /**
+   * Allow the active player to ask for a take-or-pass hint? Hints are never
+   * given in league games or match rounds.
+   * Options: true/false
+   * Default: false
+   */
+  HINTS: false,
+
+  /**
+   * Count the results of finished games in the league standings? League
+   * games are played without hints.
+   * Options: true/false
+   * Default: false
+   */
+  LEAGUE: false,
 };
 
 /**
  * Game's rules consts
  */
-const MAX_PLAYER_COUNT = 7;
-const MIN_CARD = 3;
-const MAX_CARD = 35;
-const SETUP_CARDS_REMOVED = 9;
+const MIN_PLAYER_COUNT = 2;
+const MAX_PLAYER_COUNT = 10;
+// In the 2 player variant more cards are removed so that the game stays tight
+const TWO_PLAYER_CARDS_REMOVED_FACTOR = 2;
 
 /**
  * UI consts
  */
 const TOKEN_REPR = "🌑";
 const ACTIVE_PLAYER_MARKER = "➡️";
-const RANK_MARKERS = ["🏆", "🥈", "🥉", "", "", "", ""];
-
-const BG_COLOR = "#fff3dc";
-const DECK_BACK_COLOR = "#1c4587";
-
-const PLAYER1_A1 = "Z6";
-const LOCATION_A1 = { DECK: "B2", CARD: "N2", TOKENS: "C13" };
+const HIDDEN_TOKENS_REPR = `?? ${TOKEN_REPR}`;
+const RANK_MARKERS = ["🏆", "🥈", "🥉"];
 
 const CELL_DIMENSION = { WIDTH: 21, HEIGHT: 30 };
 
-const FONT_FAMILY = "Francois One";
-
 const TABLE_SHEET_NAME = "Table";
 
 const CARD_SIZE = 10;
 const PLAYER_NAME_LENGTH = 4;
-const TABLE_DIMENSIONS = { HEIGHT: 17, WIDTH: 56 };
+const CARD_TRACKER_COLUMN = 2;
+// How much of the name of the player who took a card is shown under it
+const CARD_TRACKER_NAME_LENGTH = 2;
+const LIVE_SCORE_WIDTH = 3;
 
-const MSG_REVEAL = "Click DECK to reveal next card";
-const MSG_TURN = `Click the CARD to take it and add it to your table
-OR
-Click HERE to pay 1${TOKEN_REPR} to skip your turn`;
-const MSG_END_GAME = `Game Over!
-Click HERE to reveal the final score`;
+/**
+ * Game phases, these determine which hotspots are active
+ */
+const PHASE = {
+  REVEAL: "reveal",
+  TURN: "turn",
+  END_GAME: "endGame",
+  FINAL_SCORE: "finalScore",
+};
+const HOTSPOT_SCRIPTS = {
+  [PHASE.REVEAL]: { DECK: "revealTopCard" },
+  [PHASE.TURN]: { CARD: "takeCard", TOKENS: "noThanks" },
+  [PHASE.END_GAME]: { TOKENS: "revealFinalScore" },
+  [PHASE.FINAL_SCORE]: {},
+};
 
-// Our calculation of hotspot width seems to miss by a bit so we can just expand
-// it a little by a constant factor to try and fix it.
-const HOTSPOT_WIDTH_CORRECTION_FACTOR = 1.05;
+/**
+ * The actions players can take during a game, mapped to their state transition
+ */
+const GAME_ACTIONS = {
+  reveal: revealCard,
+  pass: passCard,
+  take: takeCurrentCard,
+  finalScore: finalScore,
+};
 
 /**
  * Mechanism consts
  */
 const MUTEX_LOCKOUT_PERIOD_MS = 5000;
+const GAME_PROPERTY_NAME = "game";
 const TRANSPARENT_PIXEL_URL =
   "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAACXBIWXMAAAsSAAALEgHS3X78AAAADUlEQVQImWP4//8/AwAI/AL+hc2rNAAAAABJRU5ErkJggg==";
 
@@ -100,306 +217,332 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu("No Thanks")
     .addItem("New Table", "newTable")
+    .addItem("Settings", "showSettings")
+    .addItem("Re-theme current table", "rethemeTable")
+    .addSeparator()
+    .addItem("Undo last action", "undoLastAction")
+    .addItem("Redo last action", "redoLastAction")
+    .addSeparator()
+    .addItem("Bind my account to a seat", "bindSeat")
+    .addItem("My tokens", "showMyTokens")
+    .addItem("Notify me on my turn", "registerForNotifications")
+    .addItem("Hint", "showHint")
+    .addSeparator()
+    .addItem("Export game", "showExportGame")
+    .addItem("Import game", "showImportGame")
+    .addSeparator()
+    .addItem("New match", "newMatch")
+    .addItem("Next round", "nextRound")
+    .addSeparator()
+    .addItem("New league season", "newLeagueSeason")
+    .addItem("Rebuild stats", "rebuildStats")
     .addToUi();
 }
 
 ////// USER ACTIONS ////////////////////////////////////////////////////////////
 
-function newTable(players) {
-  const file = SpreadsheetApp.getActive();
-  const newSheet = file.insertSheet("Creating new table...");
-  file.setActiveSheet(newSheet);
-
-  singleEntry(() => {
-    try {
-      let players = getPlayersForNewTable();
-
-      const ui = SpreadsheetApp.getUi();
-      if (
-        OPTIONS.SETUP.SHUFFLE_PLAYERS === "yes" ||
-        (OPTIONS.SETUP.SHUFFLE_PLAYERS === "ask" &&
-          ui.alert(
-            "Randomize player order?",
-            `Click "Yes" to randomize the play order
-                   
-                   Or "No" to use the current one:
-                   ${players.join(", ")}`,
-            ui.ButtonSet.YES_NO,
-          ) === ui.Button.YES)
-      ) {
-        players = shuffle(players);
-      }
-
-      renderNewTable(file, newSheet, players);
-
-      newGame(players);
-
-      // Replace the previous table once we are done setting everything up
-      const previousSheet = file.getSheetByName(TABLE_SHEET_NAME);
-      if (previousSheet != null) {
-        file.deleteSheet(previousSheet);
-      }
-      newSheet.setName(TABLE_SHEET_NAME);
-    } catch (err) {
-      file.deleteSheet(newSheet);
-      throw err;
-    }
-  });
+function newTable() {
+  setUpNewTable(() => getNewTableSetup());
 }
 
 function revealTopCard() {
-  singleEntry(() => {
-    revealTopCardImpl();
-  });
+  playUserAction("reveal");
 }
 
 function takeCard() {
-  singleEntry(() => {
-    const card = getCurrentCard();
-    if (card == null) {
-      throw new Error("No card revealed yet to take");
-    }
+  playUserAction("take");
+}
 
-    resetHotspot("CARD");
-    setCurrentCard(null);
-    resetHotspot("TOKENS");
+function revealFinalScore() {
+  playUserAction("finalScore");
+  offerNextMatchRound();
+}
 
-    player = getActivePlayer();
-    addCardToPlayer(player, card);
+function noThanks() {
+  playUserAction("pass");
+}
 
-    takeTokensFromPool(player);
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
 
-    const deck = getDeck();
-    if (deck != null && deck.length > 0) {
-      enableDeck();
-    } else {
-      setInstructionsMessage(MSG_END_GAME);
-      enableHotspot("TOKENS", "revealFinalScore");
+/**
+ * Plays one of the GAME_ACTIONS for the user, from the table or from the web
+ * app, and then lets the bots play if it's their turn.
+ */
+function playUserAction(action) {
+  singleEntry(() => {
+    const game = getGame();
+    if (game != null && isBotTurn(game)) {
+      // Clicks made while the bots are playing (or left unplayed) would play
+      // the bot's turn for it
+      throw new Error(
+        getMessage("BOT_TURN_ERROR", {
+          player: game.players[game.activePlayer],
+        }),
+      );
     }
-  });
-}
 
-function revealFinalScore() {
-  singleEntry(() => {
-    resetHotspot("TOKENS");
-    setInstructionsMessage("");
-    if (OPTIONS.HIDDEN_TOKENS) {
-      revealTokens();
+    if (action !== "finalScore") {
+      // Anyone could reveal the final score
+      assertActiveSeatAccount();
     }
-    renderFinalScore();
+    playAction(action);
+    playBotTurns();
   });
 }
 
-function noThanks() {
-  singleEntry(() => {
-    const currentCard = getCurrentCard();
-    if (currentCard == null) {
-      throw new Error("No card revealed yet!");
-    }
+/**
+ * Creates the new table on a temporary sheet, and only replaces the current
+ * table with it once everything is set up. The setup function is called
+ * inside the lock and returns the seats, options and seed of the new game, and
+ * optionally the match it is a round of.
+ */
+function setUpNewTable(setup) {
+  const file = SpreadsheetApp.getActive();
+  const newSheet = file.insertSheet("Creating new table...");
+  file.setActiveSheet(newSheet);
 
-    addTokenToPool(getActivePlayer());
+  singleEntry(() => {
+    try {
+      const { seats, options, seed, match = null } = setup();
 
-    advanceActivePlayer();
-  });
-}
+      renderNewTable(
+        file,
+        newSheet,
+        seats.map(({ name }) => name),
+        options,
+      );
 
-////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+      newGame(newSheet, seats, options, seed, match);
 
-function revealTopCardImpl() {
-  const currentCard = getCurrentCard();
-  if (currentCard != null) {
-    throw new Error(
-      "The card '" +
-        currentCard +
-        "' is still out, someone needs to take it first!",
-    );
-  }
+      // Replace the previous table once we are done setting everything up
+      replaceTableSheet(file, newSheet);
 
-  const deck = getDeck();
-  if (deck == null || deck.length === 0) {
-    throw new Error("No more cards in the deck!");
-  }
+      file.toast(
+        getMessage("SEED_TOAST", { seed }),
+        getMessage("NEW_TABLE_TITLE"),
+      );
+    } catch (err) {
+      file.deleteSheet(newSheet);
+      throw err;
+    }
 
-  const { remainingDeck, card } = drawCard(deck);
+    playBotTurns();
+  });
+}
 
-  enableHotspot("CARD", "takeCard");
-  setCurrentCard(card);
+function getNewTableSetup() {
+  const options = getOptions();
+  const seed = getSeedForNewTable(options);
+  let seats = getPlayersForNewTable();
 
-  resetHotspot("DECK");
-  setDeck(remainingDeck);
+  const ui = SpreadsheetApp.getUi();
+  if (
+    options.SETUP.SHUFFLE_PLAYERS === "yes" ||
+    (options.SETUP.SHUFFLE_PLAYERS === "ask" &&
+      ui.alert(
+        getMessage("RANDOMIZE_ORDER_TITLE"),
+        getMessage("RANDOMIZE_ORDER_TEXT", {
+          players: seats.map(({ name }) => name).join(", "),
+        }),
+        ui.ButtonSet.YES_NO,
+      ) === ui.Button.YES)
+  ) {
+    seats = shuffle(seededRandom(`${seed}:players`), seats);
+  }
 
-  enableHotspot("TOKENS", "noThanks");
-  setTokensInPool(0);
+  return { seats, options, seed };
 }
 
+/**
+ * The seats for the new table, each one with the player's name and the bot
+ * strategy playing it (null for human players).
+ */
 function getPlayersForNewTable() {
   const ui = SpreadsheetApp.getUi();
-  const players = getPlayersFromPreviousTable();
+  const seats = getPlayersFromPreviousTable();
   if (
-    players != null &&
+    seats != null &&
     ui.alert(
-      "Same Players?",
-      `Do you want to use the same list of players as in the previous round?
-(${players.join(", ")})`,
+      getMessage("SAME_PLAYERS_TITLE"),
+      getMessage("SAME_PLAYERS_TEXT", {
+        players: seats.map(({ name }) => name).join(", "),
+      }),
       ui.ButtonSet.YES_NO,
     ) === ui.Button.YES
   ) {
-    return players;
+    return seats;
   }
 
   return getNewPlayersFromUser();
 }
 
-function newGame(players) {
-  // Randomize a new deck
-  setDeck(newDeck());
-
-  // deal tokens to each player
-  dealTokens(players.length);
-
-  setActivePlayer(setStartingPlayer(players));
-
-  enableDeck();
-}
-
-function setStartingPlayer(players) {
-  if (OPTIONS.SETUP.PICK_START_PLAYER) {
+function getSeedForNewTable(options) {
+  if (options.SETUP.ASK_SEED) {
     const ui = SpreadsheetApp.getUi();
     const response = ui.prompt(
-      "Choose starting player?",
-      `Pick who goes first by entering their number:
-    ${players.map((name, i) => i + 1 + " - " + name).join("\n")}
-    
-    Or select "No" for a random pick`,
+      getMessage("SEED_TITLE"),
+      getMessage("SEED_TEXT"),
       ui.ButtonSet.YES_NO,
     );
 
     if (response.getSelectedButton() === ui.Button.YES) {
-      const startPlayer = parseInt(response.getResponseText(), 10) - 1;
-
-      if (!(startPlayer >= 0 && startPlayer < players.length)) {
-        throw new Error(`Invalid start player value: ${startPlayer}`);
+      const seed = response.getResponseText().trim();
+      if (seed === "") {
+        throw new Error(getMessage("EMPTY_SEED_ERROR"));
       }
-
-      return startPlayer;
+      return seed;
     }
   }
 
-  return randInt(players.length - 1);
+  return newSeed();
 }
 
-function enableDeck() {
-  if (OPTIONS.AUTO_REVEAL_NEXT_CARD) {
-    revealTopCardImpl();
-  } else {
-    enableHotspot("DECK", "revealTopCard");
-    setInstructionsMessage(MSG_REVEAL);
+/**
+ * @param match when the game is a round of a match, the match id and the start
+ * player picked for the round (null to pick one the usual way).
+ */
+function newGame(sheet, seats, options, seed, match = null) {
+  const game = {
+    id: Utilities.getUuid(),
+    matchId: match != null ? match.id : null,
+    ...dealGame(
+      seats,
+      options,
+      seed,
+      match != null && match.startPlayer != null
+        ? match.startPlayer
+        : setStartingPlayer(
+            seats.map(({ name }) => name),
+            options,
+            seededRandom(`${seed}:start`),
+          ),
+    ),
+  };
+
+  setGame(game);
+  newHistory(game);
+  renderGame(sheet, game);
+  renderSeatAccounts(sheet, game);
+  syncTurnTimer(sheet, game);
+  notifyTurnChange(game, null);
+
+  newLog(game, "New game");
+  if (game.currentCard != null) {
+    // The first card was auto-revealed
+    logReveal(game);
   }
 }
 
-function drawCard(deck) {
-  const randIndex = randInt(deck.length - 1);
-  const card = deck[randIndex];
+/**
+ * The initial state of a game, without touching the spreadsheet (see also
+ * simulation.gs.js).
+ *
+ * @param tokens the tokens each player starts with.
+ */
+function dealGame(
+  seats,
+  options,
+  seed,
+  activePlayer,
+  tokens = tokensPerPlayer(seats.length),
+) {
+  const players = seats.map(({ name }) => name);
 
-  // Remove the card in-place
-  deck.splice(randIndex, 1);
+  // Randomize a new deck
+  const { deck, removed } = newDeck(
+    players.length,
+    options,
+    seededRandom(`${seed}:deck`),
+  );
 
-  return {
-    card,
-    remainingDeck: deck,
-  };
+  return enableDeck({
+    seed,
+    phase: PHASE.REVEAL,
+    players,
+    bots: seats.map(({ bot }) => bot),
+    tokens: players.map(() => tokens),
+    hands: players.map(() => []),
+    activePlayer,
+    pool: 0,
+    currentCard: null,
+    deck,
+    removed,
+    scores: null,
+    options,
+  });
 }
 
-function newDeck() {
-  // Create a new deck (which is just a range of numbers
-  let deck = Array.of(...xrange(MIN_CARD, MAX_CARD + 1));
-
-  let cardsRemoved = 0;
-  if (OPTIONS.SETUP.REMOVE_TENS) {
-    deck = deck.filter((card) => card % 10 !== 0);
-    cardsRemoved = MAX_CARD - MIN_CARD + 1 - deck.length;
-  }
-
-  // Remove cards from the deck
-  for (; cardsRemoved < SETUP_CARDS_REMOVED; cardsRemoved++) {
-    deck = drawCard(deck).remainingDeck;
-  }
-
-  return deck;
-}
+function setStartingPlayer(players, options, random) {
+  if (options.SETUP.PICK_START_PLAYER) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+      getMessage("START_PLAYER_TITLE"),
+      getMessage("START_PLAYER_TEXT", {
+        players: describeNumberedPlayers(players),
+      }),
+      ui.ButtonSet.YES_NO,
+    );
 
-function advanceActivePlayer() {
-  const activePlayer = getActivePlayer();
-  const playerCount = getPlayerCount();
-  const nextPlayer = (activePlayer + 1) % playerCount;
-  setActivePlayer(nextPlayer);
-}
+    if (response.getSelectedButton() === ui.Button.YES) {
+      const startPlayer = parseInt(response.getResponseText(), 10) - 1;
 
-function takeTokensFromPool(player) {
-  const pool = getTokensInPool();
+      if (!(startPlayer >= 0 && startPlayer < players.length)) {
+        throw new Error(
+          getMessage("INVALID_START_PLAYER_ERROR", {
+            value: response.getResponseText(),
+          }),
+        );
+      }
 
-  if (pool > 0) {
-    if (OPTIONS.HIDDEN_TOKENS) {
-      const ui = SpreadsheetApp.getUi();
-      ui.alert(
-        getPlayerName(player),
-        `Add ${pool}${TOKEN_REPR} to your personal pool`,
-        ui.ButtonSet.OK,
-      );
+      return startPlayer;
     }
-
-    const playerTokensCell = SpreadsheetApp.getActiveSheet()
-      .getRange(PLAYER1_A1)
-      .offset(player, PLAYER_NAME_LENGTH);
-    const current = parseInt(playerTokensCell.getValue(), 10);
-    playerTokensCell.setValue(current + pool);
   }
 
-  setTokensInPool(0);
+  return randInt(random, players.length - 1);
 }
 
-function addTokenToPool(player) {
-  const playerTokensCell = SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(player, PLAYER_NAME_LENGTH);
-  const current = parseInt(playerTokensCell.getValue(), 10);
-  if (current === 0) {
-    throw new Error(`${getPlayerName(player)} doesn't have any tokens left!`);
-  }
-
-  playerTokensCell.setValue(current - 1);
+function newDeck(playerCount, options, random) {
+  // Create a new deck (which is just a range of numbers) in a random order,
+  // from here on cards are always drawn from the top.
+  const { MIN_CARD, MAX_CARD, CARDS_REMOVED } = options.DECK;
+  let deck = shuffle(random, Array.of(...xrange(MIN_CARD, MAX_CARD + 1)));
 
-  const pool = getTokensInPool();
-  setTokensInPool(pool + 1);
-}
-
-function dealTokens(playerCount) {
-  const tokens = tokensPerPlayer(playerCount);
+  let removed = [];
+  if (options.SETUP.REMOVE_TENS) {
+    removed = deck.filter((card) => card % 10 === 0);
+    deck = deck.filter((card) => card % 10 !== 0);
+  }
 
-  if (OPTIONS.HIDDEN_TOKENS) {
-    const ui = SpreadsheetApp.getUi();
-    ui.alert(
-      "All Players",
-      `Add ${tokens}${TOKEN_REPR} to your personal pool`,
-      ui.ButtonSet.OK,
+  // Remove cards from the deck
+  const cardsRemoved =
+    playerCount === 2
+      ? CARDS_REMOVED * TWO_PLAYER_CARDS_REMOVED_FACTOR
+      : CARDS_REMOVED;
+  if (cardsRemoved >= MAX_CARD - MIN_CARD + 1) {
+    throw new Error(
+      `Can't remove ${cardsRemoved} cards from a deck of ${
+        MAX_CARD - MIN_CARD + 1
+      } cards`,
     );
   }
 
-  SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(0, PLAYER_NAME_LENGTH, playerCount, 1)
-    .setValues(Array(playerCount).fill([tokens]));
+  while (removed.length < cardsRemoved) {
+    const { card, remainingDeck } = drawCard(deck);
+    removed.push(card);
+    deck = remainingDeck;
+  }
+
+  return { deck, removed };
 }
 
-function revealTokens() {
-  SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(0, PLAYER_NAME_LENGTH, getPlayerCount(), 1)
-    .setNumberFormat(getPlayerTokensNumberFormat(false /* isHidden */));
+function maxHandSize(options) {
+  const { MIN_CARD, MAX_CARD, CARDS_REMOVED } = options.DECK;
+  return MAX_CARD - MIN_CARD + 1 - CARDS_REMOVED;
 }
 
 function tokensPerPlayer(playerCount) {
   switch (playerCount) {
+    case 2:
     case 3:
     case 4:
     case 5:
@@ -408,179 +551,148 @@ function tokensPerPlayer(playerCount) {
       return 9;
     case 7:
       return 7;
+    case 8:
+      return 6;
+    case 9:
+    case 10:
+      return 5;
     default:
       throw new Error(`Unsupported player count ${playerCount}`);
   }
 }
 
-////// STATE MANAGEMENT ////////////////////////////////////////////////////////
-
-function getDeck() {
-  const { deck } = PropertiesService.getDocumentProperties().getProperties();
-  if (deck == null || deck === "") {
+function getPlayersFromPreviousTable() {
+  const game = getGame();
+  if (game == null) {
     return null;
   }
 
-  return JSON.parse(deck);
+  return game.players.map((name, player) => ({
+    name,
+    bot: game.bots != null ? game.bots[player] : null,
+  }));
 }
 
-function setDeck(deck) {
-  const cardRange = SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.DECK)
-    .offset(0, 0, CARD_SIZE, CARD_SIZE);
+////// GAME STATE TRANSITIONS //////////////////////////////////////////////////
 
-  if (deck == null || deck.length === 0) {
-    PropertiesService.getDocumentProperties().deleteProperty("deck");
+// The transitions below are pure, they take a game state object and return a
+// new one without modifying their input, the sheet is only rendered from the
+// result (see renderGame).
 
-    cardRange
-      .breakApart()
-      .clear()
-      .setBackground(BG_COLOR)
-      .setBorder(false, false, false, false, false, false);
-    return;
+function revealCard(game) {
+  if (game.currentCard != null) {
+    throw new Error(
+      getMessage("CARD_STILL_OUT_ERROR", { card: game.currentCard }),
+    );
   }
 
-  const serialized = JSON.stringify(deck);
-  PropertiesService.getDocumentProperties().setProperty("deck", serialized);
-
-  renderDeck(cardRange);
-}
+  if (game.deck.length === 0) {
+    throw new Error(getMessage("EMPTY_DECK_ERROR"));
+  }
 
-function getCurrentCard() {
-  const currentCardA1 = SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.CARD)
-    .offset(1, 1)
-    .getA1Notation();
-  const cardStr = getCellValue(currentCardA1);
-  return cardStr != null ? parseInt(cardStr, 10) : null;
+  const { card, remainingDeck } = drawCard(game.deck);
+  return {
+    ...game,
+    phase: PHASE.TURN,
+    currentCard: card,
+    deck: remainingDeck,
+    pool: 0,
+  };
 }
 
-function setCurrentCard(cardVal) {
-  const cardRange = SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.CARD)
-    .offset(0, 0, CARD_SIZE, CARD_SIZE);
-
-  if (cardVal == null) {
-    cardRange
-      .breakApart()
-      .clear()
-      .setBackground(BG_COLOR)
-      .setBorder(false, false, false, false, false, false);
-    return;
+function passCard(game) {
+  if (game.currentCard == null) {
+    throw new Error(getMessage("NO_CARD_TO_PASS_ERROR"));
   }
 
-  renderCurrentCard(cardRange, cardVal);
+  return advanceActivePlayer(addTokenToPool(game, game.activePlayer));
 }
 
-function getTokensInPool() {
-  const tokenStr = getCellValue(LOCATION_A1.TOKENS);
-
-  if (tokenStr === MSG_TURN) {
-    // We show this message when there are 0 tokens
-    return 0;
+function takeCurrentCard(game) {
+  const card = game.currentCard;
+  if (card == null) {
+    throw new Error(getMessage("NO_CARD_TO_TAKE_ERROR"));
   }
 
-  if (
-    tokenStr != null &&
-    tokenStr.match(new RegExp(`^${TOKEN_REPR}+$`, "gu"))
-  ) {
-    return tokenStr.length / TOKEN_REPR.length;
-  }
+  const player = game.activePlayer;
+  const nextGame = takeTokensFromPool(
+    addCardToPlayer({ ...game, currentCard: null }, player, card),
+    player,
+  );
 
-  // We use the current token pool for messaging too, but in those cases the
-  // actual tokens are always null (and could be coalesced to 0).
-  return null;
+  return nextGame.deck.length > 0
+    ? enableDeck(nextGame)
+    : { ...nextGame, phase: PHASE.END_GAME };
 }
 
-function setTokensInPool(tokens) {
-  if (tokens === 0) {
-    setInstructionsMessage(MSG_TURN);
-    return;
+function finalScore(game) {
+  if (game.phase !== PHASE.END_GAME) {
+    throw new Error(getMessage("GAME_NOT_OVER_ERROR"));
   }
 
-  SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.TOKENS)
-    // We want to fit as many tokens as possible in the box for any token count
-    .setFontSize(
-      tokens <= 24
-        ? 39 - 3 * Math.ceil(Math.max(0, tokens - 16) / 2)
-        : tokens <= 39
-        ? 25
-        : 21,
-    )
-    // If the value is a number we create a string made up of the token icons
-    .setValue(TOKEN_REPR.repeat(tokens));
+  return {
+    ...game,
+    phase: PHASE.FINAL_SCORE,
+    scores: game.players.map((_, player) => scoreBreakdown(game, player).score),
+  };
 }
 
-function setInstructionsMessage(message) {
-  SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.TOKENS)
-    .setFontSize(12)
-    .setValue(message);
+function areTokensHidden(game) {
+  return game.options.HIDDEN_TOKENS && game.phase !== PHASE.FINAL_SCORE;
 }
 
-function getActivePlayer() {
-  const player1Cell = SpreadsheetApp.getActiveSheet().getRange(PLAYER1_A1);
-  const activeMarkerCell = player1Cell
-    .offset(0, -1, MAX_PLAYER_COUNT, 1)
-    .createTextFinder(ACTIVE_PLAYER_MARKER)
-    .findNext();
-  return activeMarkerCell.getRow() - player1Cell.getRow();
+function enableDeck(game) {
+  const nextGame = { ...game, phase: PHASE.REVEAL };
+  return game.options.AUTO_REVEAL_NEXT_CARD ? revealCard(nextGame) : nextGame;
 }
 
-function setActivePlayer(player) {
-  renderActivePlayerMarker(
-    SpreadsheetApp.getActiveSheet()
-      .getRange(PLAYER1_A1)
-      .offset(0, -1, MAX_PLAYER_COUNT, 1)
-      .clearContent()
-      .offset(player, 0, 1, 1),
-  );
+function drawCard(deck) {
+  return {
+    card: deck[0],
+    remainingDeck: deck.slice(1),
+  };
+}
+
+function advanceActivePlayer(game) {
+  return {
+    ...game,
+    activePlayer: (game.activePlayer + 1) % game.players.length,
+  };
+}
+
+function takeTokensFromPool(game, player) {
+  return {
+    ...game,
+    tokens: game.tokens.map((tokens, i) =>
+      i === player ? tokens + game.pool : tokens,
+    ),
+    pool: 0,
+  };
 }
 
-function getPlayerName(player) {
-  return SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(player, 0)
-    .getValue();
-}
-
-function getPlayerCount() {
-  const playerNames = SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(0, 0, MAX_PLAYER_COUNT, 1)
-    .getValues()
-    .map((row) => row[0])
-    .filter((name) => name !== "");
-  return playerNames.length;
-}
-
-function addCardToPlayer(player, card) {
-  const playerCardsRange = SpreadsheetApp.getActiveSheet()
-    .getRange(PLAYER1_A1)
-    .offset(player, 2 + PLAYER_NAME_LENGTH, 1, 24);
-
-  let currentCards = playerCardsRange
-    .getValues()[0]
-    .filter((card) => card !== "")
-    .map((card) =>
-      // We need to remove the single-quote from cells in runs so we can get
-      // their actual numerical value
-      typeof card === "number"
-        ? card
-        : parseInt(card.match(/^'?([1-3]?\d)$/)[1], 10),
+function addTokenToPool(game, player) {
+  if (game.tokens[player] === 0) {
+    throw new Error(
+      getMessage("NO_TOKENS_LEFT_ERROR", { player: game.players[player] }),
     );
-  currentCards.push(card);
-
-  let nextCell = playerCardsRange.offset(0, 0, 1, 1);
-  for (let run of groupConsecutiveRuns(currentCards)) {
-    const firstCard = run.shift();
-    // We add a single-quote to the rest of the cards in the run so that they
-    // aren't counted as numbers when summing over the whole range.
-    run = run.map((card) => `'${card}`);
-    renderPlayerCardRun(nextCell, firstCard, run);
-    nextCell = nextCell.offset(0, 1 + run.length, 1, 1);
   }
+
+  return {
+    ...game,
+    tokens: game.tokens.map((tokens, i) =>
+      i === player ? tokens - 1 : tokens,
+    ),
+    pool: game.pool + 1,
+  };
+}
+
+function addCardToPlayer(game, player, card) {
+  return {
+    ...game,
+    hands: game.hands.map((hand, i) =>
+      i === player ? hand.concat([card]).sort(intComparator) : hand,
+    ),
+  };
 }
 
 function* groupConsecutiveRuns(numbers) {
@@ -610,50 +722,109 @@ function* groupConsecutiveRuns(numbers) {
   return totalRuns;
 }
 
-function enableHotspot(location, script) {
-  const dimensions =
-    location !== "TOKENS"
-      ? { width: CARD_SIZE, height: CARD_SIZE }
-      : { width: CARD_SIZE * 2, height: 4 };
-  const image = getHotspotImage(location);
-  image
-    .setAnchorCell(image.getSheet().getRange(LOCATION_A1[location]))
-    .setAnchorCellXOffset(0)
-    .setAnchorCellYOffset(0)
-    .setHeight(CELL_DIMENSION.HEIGHT * dimensions.height)
-    .setWidth(
-      CELL_DIMENSION.WIDTH * HOTSPOT_WIDTH_CORRECTION_FACTOR * dimensions.width,
-    )
-    .assignScript(script);
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function getGame() {
+  const game = getJsonProperty(GAME_PROPERTY_NAME);
+  return game != null ? withDefaultOptions(game) : null;
 }
 
-function resetHotspot(location) {
-  getHotspotImage(location).setHeight(0).setWidth(0).assignScript("");
+/**
+ * Games stored by older versions are missing the options added since, which
+ * they were played with the default of. This is the only place they are
+ * upgraded, everything else reads the game options directly.
+ */
+function withDefaultOptions(game) {
+  return { ...game, options: mergeOptions(DEFAULT_OPTIONS, game.options) };
 }
 
-function getPlayersFromPreviousTable() {
-  const previousSheet = SpreadsheetApp.getActive().getSheetByName(
-    TABLE_SHEET_NAME,
+function mergeOptions(defaults, options) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, defaultValue]) => [
+      key,
+      typeof defaultValue === "object"
+        ? mergeOptions(defaultValue, options[key] || {})
+        : hasOwnKey(options, key)
+        ? options[key]
+        : defaultValue,
+    ]),
   );
-  if (previousSheet == null) {
-    return null;
+}
+
+/**
+ * The stored game, for actions that can't be done without one.
+ */
+function getGameInProgress() {
+  const game = getGame();
+  if (game == null) {
+    throw new Error(getMessage("NO_GAME_ERROR"));
+  }
+
+  return game;
+}
+
+/**
+ * A value stored as JSON in the document properties, or the fallback when
+ * it's not set.
+ */
+function getJsonProperty(name, fallback = null) {
+  const serialized =
+    PropertiesService.getDocumentProperties().getProperty(name);
+  return serialized != null && serialized !== ""
+    ? JSON.parse(serialized)
+    : fallback;
+}
+
+function setGame(game) {
+  PropertiesService.getDocumentProperties().setProperty(
+    GAME_PROPERTY_NAME,
+    JSON.stringify(game),
+  );
+}
+
+/**
+ * Applies a transition to the stored game state, stores the result and then
+ * renders whatever changed on the active sheet.
+ *
+ * @param history the game history matching the result, it's stored together
+ * with the game so that they stay in sync even if rendering fails.
+ */
+function updateGame(transition, history = null) {
+  const game = getGameInProgress();
+
+  const nextGame = transition(game);
+  setGame(nextGame);
+  if (history != null) {
+    setHistory(history);
   }
+  renderGame(SpreadsheetApp.getActiveSheet(), nextGame, game);
+  syncTurnTimer(SpreadsheetApp.getActiveSheet(), nextGame);
+  notifyTurnChange(nextGame, game);
+  return { game: nextGame, previousGame: game };
+}
 
-  return previousSheet
-    .getRange(PLAYER1_A1)
-    .offset(0, 0, MAX_PLAYER_COUNT, 1)
-    .getValues()
-    .map((row) => row[0])
-    .filter((name) => name != "");
+/**
+ * Plays one of the GAME_ACTIONS on the stored game and records it in the game
+ * history (so that it could be undone later) and in the log.
+ */
+function playAction(action) {
+  const result = updateGame(GAME_ACTIONS[action]);
+  recordAction(action);
+  logAction(action, result.previousGame, result.game);
+  if (action === "finalScore") {
+    syncLeagueGame(result.game);
+    syncMatchGame(result.game);
+  }
+  return result;
 }
 
 ////// RENDER //////////////////////////////////////////////////////////////////
 
-function renderNewTable(file, sheet, players) {
-  renderTable(file, sheet);
+function renderNewTable(file, sheet, players, options) {
+  renderTable(file, sheet, players.length, options);
 
-  renderPlayerArea(sheet, players);
-  renderTokensBox(sheet);
+  renderPlayerArea(sheet, players, options);
+  renderTokensBox(sheet, options);
   renderHotspots(sheet);
 }
 
@@ -661,27 +832,286 @@ function renderHotspots(sheet) {
   sheet.getImages().forEach((image) => image.remove());
 
   // Insert hotspot images for the hotspot locations
-  Object.keys(LOCATION_A1).forEach((_) =>
+  HOTSPOT_LOCATIONS.forEach((_) =>
     sheet.insertImage(TRANSPARENT_PIXEL_URL, 1, 1),
   );
+
+  // Keep the hotspots over their areas when rows or columns are resized
+  ensureHotspotSyncTrigger();
+}
+
+/**
+ * Draws the game state on the table. When the previous state is given only the
+ * parts of the table that changed are redrawn.
+ */
+function renderGame(sheet, game, previousGame = null) {
+  const language = getLanguage();
+  const hasChanged = (selector) =>
+    previousGame == null ||
+    JSON.stringify(selector(game)) !== JSON.stringify(selector(previousGame));
+
+  if (hasChanged(({ deck }) => deck.length > 0)) {
+    renderDeckPile(sheet, game.deck.length > 0, game.options, language);
+  }
+
+  if (hasChanged(({ currentCard }) => currentCard)) {
+    renderCurrentCardPile(sheet, game);
+  }
+
+  if (hasChanged(({ phase, pool }) => [phase, pool])) {
+    renderTokensBoxContents(sheet, game, language);
+  }
+
+  if (
+    hasChanged(({ phase, activePlayer, scores }) => [
+      phase,
+      activePlayer,
+      scores,
+    ])
+  ) {
+    renderPlayerMarkers(sheet, game);
+  }
+
+  if (hasChanged(({ phase, tokens }) => [phase, tokens])) {
+    renderPlayerTokens(sheet, game);
+  }
+
+  if (hasChanged(({ hands, scores }) => [hands, scores])) {
+    renderPlayerHands(sheet, game, language);
+  }
+
+  if (
+    game.options.LIVE_SCORE &&
+    hasChanged(({ phase, tokens, hands }) => [phase, tokens, hands])
+  ) {
+    renderLiveScores(sheet, game);
+  }
+
+  if (
+    game.options.CARD_TRACKER &&
+    hasChanged(({ currentCard, hands }) => [currentCard, hands])
+  ) {
+    renderCardTracker(sheet, game, language);
+  }
+
+  if (hasChanged(({ phase }) => phase)) {
+    renderHotspotScripts(sheet, game);
+  }
+}
+
+function renderDeckPile(sheet, hasCards, options, language) {
+  const cardRange = getLocationRange(sheet, "DECK", options);
+
+  if (!hasCards) {
+    renderEmptyPile(cardRange, options);
+    return;
+  }
+
+  renderDeck(cardRange, options, language);
+}
+
+function renderCurrentCardPile(sheet, game) {
+  const cardRange = getLocationRange(sheet, "CARD", game.options);
+
+  if (game.currentCard == null) {
+    renderEmptyPile(cardRange, game.options);
+    return;
+  }
+
+  renderCurrentCard(cardRange, game.currentCard, game.options);
+}
+
+function renderEmptyPile(cardRange, options) {
+  cardRange
+    .breakApart()
+    .clear()
+    .setBackground(getTheme(options).BACKGROUND)
+    .setBorder(false, false, false, false, false, false);
+}
+
+function renderTokensBoxContents(sheet, game, language) {
+  switch (game.phase) {
+    case PHASE.REVEAL:
+      setInstructionsMessage(
+        sheet,
+        game.options,
+        getMessage("REVEAL", {}, language),
+        language,
+      );
+      break;
+
+    case PHASE.TURN:
+      if (game.pool === 0) {
+        setInstructionsMessage(
+          sheet,
+          game.options,
+          getMessage("TURN", {}, language),
+          language,
+        );
+      } else {
+        setTokensInPool(sheet, game.options, game.pool);
+      }
+      break;
+
+    case PHASE.END_GAME:
+      setInstructionsMessage(
+        sheet,
+        game.options,
+        getMessage("END_GAME", {}, language),
+        language,
+      );
+      break;
+
+    case PHASE.FINAL_SCORE:
+      setInstructionsMessage(sheet, game.options, "", language);
+      break;
+  }
+}
+
+function setTokensInPool(sheet, options, tokens) {
+  getLocationAnchor(sheet, "TOKENS", options)
+    // We want to fit as many tokens as possible in the box for any token count
+    .setFontSize(
+      tokens <= 24
+        ? 39 - 3 * Math.ceil(Math.max(0, tokens - 16) / 2)
+        : tokens <= 39
+        ? 25
+        : 21,
+    )
+    // We create a string made up of the token icons
+    .setValue(TOKEN_REPR.repeat(tokens));
+}
+
+function setInstructionsMessage(sheet, options, message, language) {
+  getLocationAnchor(sheet, "TOKENS", options)
+    .setFontSize(12)
+    .setTextDirection(getTextDirection(language))
+    .setValue(message);
+}
+
+function renderPlayerMarkers(sheet, game) {
+  const markersRange = getLocationAnchor(sheet, "PLAYER1", game.options)
+    .offset(0, -1, game.players.length, 1)
+    .clearContent();
+
+  if (game.phase === PHASE.FINAL_SCORE) {
+    markersRange.setValues(
+      rankPlayers(game).map((rank) => [
+        rank < RANK_MARKERS.length ? RANK_MARKERS[rank] : "",
+      ]),
+    );
+    return;
+  }
+
+  renderActivePlayerMarker(markersRange.offset(game.activePlayer, 0, 1, 1));
+}
+
+function renderPlayerTokens(sheet, game) {
+  const tokensRange = getLocationAnchor(sheet, "PLAYER1", game.options).offset(
+    0,
+    PLAYER_NAME_LENGTH,
+    game.players.length,
+    1,
+  );
+
+  if (areTokensHidden(game)) {
+    // The actual counts are never written to the sheet, anyone could read them
+    // from the cells otherwise. Players see their own count in the "My tokens"
+    // sidebar.
+    tokensRange.setValues(game.players.map(() => [HIDDEN_TOKENS_REPR]));
+    return;
+  }
+
+  tokensRange
+    .setNumberFormat(getPlayerTokensNumberFormat())
+    .setValues(game.tokens.map((tokens) => [tokens]));
+}
+
+function renderPlayerHands(sheet, game, language) {
+  const handsRange = getLocationAnchor(sheet, "PLAYER1", game.options).offset(
+    0,
+    getHandsOffset(game.options),
+    game.players.length,
+    maxHandSize(game.options),
+  );
+
+  const theme = getTheme(game.options);
+  handsRange
+    .breakApart()
+    .clearContent()
+    .setBackground(theme.BACKGROUND)
+    .setBorder(false, false, false, false, false, false)
+    // Restore the part of the player area frame we just cleared
+    .setBorder(
+      true,
+      null,
+      true,
+      true,
+      null,
+      null,
+      theme.PLAYER_AREA_FRAME,
+      SpreadsheetApp.BorderStyle.SOLID_THICK,
+    );
+
+  game.hands.forEach((hand, player) => {
+    let nextCell = handsRange.offset(player, 0, 1, 1);
+    for (const [firstCard, ...restOfRun] of groupConsecutiveRuns(hand)) {
+      renderPlayerCardRun(nextCell, firstCard, restOfRun, game.options);
+      nextCell = nextCell.offset(0, 1 + restOfRun.length, 1, 1);
+    }
+  });
+
+  if (game.scores != null) {
+    renderFinalScore(sheet, game, language);
+  }
 }
 
-function renderDeck(cardRange) {
+function renderHotspotScripts(sheet, game) {
+  const scripts = HOTSPOT_SCRIPTS[game.phase];
+  HOTSPOT_LOCATIONS.forEach((location) => {
+    if (location in scripts) {
+      enableHotspot(sheet, location, scripts[location], game.options);
+    } else {
+      resetHotspot(sheet, location);
+    }
+  });
+}
+
+function enableHotspot(sheet, location, script, options) {
+  const range = getLocationRange(sheet, location, options);
+  const { width, height } = measureRange(sheet, range);
+  getHotspotImage(sheet, location)
+    .setAnchorCell(range.getCell(1, 1))
+    .setAnchorCellXOffset(0)
+    .setAnchorCellYOffset(0)
+    .setHeight(height)
+    .setWidth(width)
+    .assignScript(script);
+}
+
+function resetHotspot(sheet, location) {
+  getHotspotImage(sheet, location).setHeight(0).setWidth(0).assignScript("");
+}
+
+function renderDeck(cardRange, options, language) {
+  const theme = getTheme(options);
   const noTextStyle = SpreadsheetApp.newTextStyle()
     .setBold(true)
-    .setFontFamily(FONT_FAMILY)
+    .setFontFamily(theme.FONT_FAMILY)
     .setFontSize(65)
-    .setForegroundColor("red")
+    .setForegroundColor(theme.DECK_TEXT)
     .build();
   const thanksTextStyle = noTextStyle.copy().setFontSize(20).build();
+  const no = getMessage("DECK_FACE_TOP", {}, language);
+  const thanks = getMessage("DECK_FACE_BOTTOM", {}, language);
   const noThanksRichTextValue = SpreadsheetApp.newRichTextValue()
-    .setText("NO\nTHANKS!")
-    .setTextStyle(0, 2, noTextStyle)
-    .setTextStyle(3, 10, thanksTextStyle)
+    .setText(`${no}\n${thanks}`)
+    .setTextStyle(0, no.length, noTextStyle)
+    .setTextStyle(no.length + 1, no.length + 1 + thanks.length, thanksTextStyle)
     .build();
 
   cardRange
-    .setBackground(DECK_BACK_COLOR)
+    .setBackground(theme.DECK_BACK)
     .setBorder(
       true,
       true,
@@ -689,20 +1119,22 @@ function renderDeck(cardRange) {
       true,
       false,
       false,
-      "white",
+      theme.PILE_FRAME,
       SpreadsheetApp.BorderStyle.SOLID_THICK,
     )
     .offset(2, 2, 4, CARD_SIZE - 4)
     .merge()
-    .setBackground("white")
+    .setBackground(theme.CARD_FACE)
     .setHorizontalAlignment("center")
     .setVerticalAlignment("bottom")
+    .setTextDirection(getTextDirection(language))
     .setRichTextValue(noThanksRichTextValue);
 }
 
-function renderCurrentCard(cardRange, cardVal) {
+function renderCurrentCard(cardRange, cardVal, options) {
+  const theme = getTheme(options);
   cardRange
-    .setBackground(cardBorderColor(cardVal))
+    .setBackground(cardBorderColor(cardVal, options))
     .setBorder(
       true,
       true,
@@ -710,14 +1142,14 @@ function renderCurrentCard(cardRange, cardVal) {
       true,
       false,
       false,
-      "white",
+      theme.PILE_FRAME,
       SpreadsheetApp.BorderStyle.SOLID_THICK,
     )
     .offset(1, 1, CARD_SIZE - 2, CARD_SIZE - 2)
     .merge()
-    .setBackground("white")
-    .setFontColor(cardNumberColor(cardVal))
-    .setFontFamily(FONT_FAMILY)
+    .setBackground(theme.CARD_FACE)
+    .setFontColor(cardNumberColor(cardVal, options))
+    .setFontFamily(theme.FONT_FAMILY)
     .setHorizontalAlignment("center")
     .setVerticalAlignment("middle")
     .setFontSize(96)
@@ -725,7 +1157,7 @@ function renderCurrentCard(cardRange, cardVal) {
     .setValue(cardVal);
 }
 
-function renderPlayerCardRun(firstCell, firstCard, restOfRun) {
+function renderPlayerCardRun(firstCell, firstCard, restOfRun, options) {
   const runRange = firstCell.offset(0, 0, 1, restOfRun.length + 1);
   runRange
     .setBorder(
@@ -735,26 +1167,30 @@ function renderPlayerCardRun(firstCell, firstCard, restOfRun) {
       true,
       false,
       false,
-      cardBorderColor(firstCard),
+      cardBorderColor(firstCard, options),
       SpreadsheetApp.BorderStyle.SOLID_THICK,
     )
-    .setBackground("white")
-    .setFontColor(cardNumberColor(firstCard))
-    .setFontFamily(FONT_FAMILY)
+    .setBackground(getTheme(options).CARD_FACE)
+    .setFontColor(cardNumberColor(firstCard, options))
+    .setFontFamily(getTheme(options).FONT_FAMILY)
     .setHorizontalAlignment("center")
     .setVerticalAlignment("middle")
     .setFontSize(12);
   runRange.setValues([[firstCard].concat(restOfRun)]);
 }
 
-function renderPlayerArea(sheet, players) {
-  sheet
-    .getRange(PLAYER1_A1)
+function renderPlayerArea(sheet, players, options) {
+  getLocationAnchor(sheet, "PLAYER1", options)
     .offset(0, 0, players.length, PLAYER_NAME_LENGTH)
     .mergeAcross()
     .offset(0, 0, players.length, 1)
     .setValues(players.map((player) => [player]))
-    .offset(0, -1, players.length, 1 + PLAYER_NAME_LENGTH + 2 + 24)
+    .offset(
+      0,
+      -1,
+      players.length,
+      1 + getHandsOffset(options) + maxHandSize(options),
+    )
     .setBorder(
       true,
       true,
@@ -762,56 +1198,88 @@ function renderPlayerArea(sheet, players) {
       true,
       false,
       false,
-      "black",
+      getTheme(options).PLAYER_AREA_FRAME,
       SpreadsheetApp.BorderStyle.SOLID_THICK,
     )
     .offset(0, 1 + PLAYER_NAME_LENGTH, players.length, 2)
     .mergeAcross()
     .offset(0, 0, players.length, 1)
-    .setNumberFormat(getPlayerTokensNumberFormat(OPTIONS.HIDDEN_TOKENS))
     .setVerticalAlignment("middle")
     .setHorizontalAlignment("center")
     .setFontWeight("bold");
+
+  if (options.LIVE_SCORE) {
+    getLocationAnchor(sheet, "PLAYER1", options)
+      .offset(0, PLAYER_NAME_LENGTH + 2, players.length, LIVE_SCORE_WIDTH)
+      .mergeAcross()
+      .setFontColor("gray")
+      .setFontStyle("italic");
+  }
 }
 
-function getPlayerTokensNumberFormat(isHidden) {
-  return isHidden
-    ? `"??" ${TOKEN_REPR}`
-    : `# ${TOKEN_REPR};-# ${TOKEN_REPR};"None";"??" ${TOKEN_REPR}`;
+/**
+ * The hands start right after the player's name and tokens, and the live score
+ * when it's shown.
+ */
+function getHandsOffset(options) {
+  return PLAYER_NAME_LENGTH + 2 + (options.LIVE_SCORE ? LIVE_SCORE_WIDTH : 0);
 }
 
-function renderFinalScore() {
-  const numPlayers = getPlayerCount();
-  const player1Cell = SpreadsheetApp.getActiveSheet().getRange(PLAYER1_A1);
-  const cardsRange = player1Cell.offset(
-    0,
-    PLAYER_NAME_LENGTH + 2,
-    numPlayers,
-    24,
-  );
-  const maxCards = Math.max(
-    ...cardsRange.getValues().map((row) => row.indexOf("")),
-  );
+function getPlayerTokensNumberFormat() {
+  return `# ${TOKEN_REPR};-# ${TOKEN_REPR};"None";"??" ${TOKEN_REPR}`;
+}
+
+function renderFinalScore(sheet, game, language) {
+  const numPlayers = game.players.length;
+  const maxCards = Math.max(...game.hands.map((hand) => hand.length));
 
-  const scores = cardsRange
-    .offset(0, maxCards, numPlayers, 24 - maxCards)
+  getLocationAnchor(sheet, "PLAYER1", game.options)
+    .offset(
+      0,
+      getHandsOffset(game.options) + maxCards,
+      numPlayers,
+      maxHandSize(game.options) - maxCards,
+    )
     .mergeAcross()
     .offset(0, 0, numPlayers, 1)
-    .setFormulaR1C1(
-      `=SUM(R[0]C[${-maxCards}]:R[0]C[-1])-IF(ISNUMBER(R[0]C[${
-        -maxCards - 2
-      }]), R[0]C[${-maxCards - 2}], 0)`,
-    )
-    .setFontSize(16)
-    .setFontWeight("bold")
-    .setNumberFormat("0")
-    .getValues();
+    .setRichTextValues(
+      game.scores.map((score, player) => {
+        const scoreText = `${score}`;
+        return [
+          SpreadsheetApp.newRichTextValue()
+            .setText(
+              `${scoreText} (${describeScoreBreakdown(
+                scoreBreakdown(game, player),
+                language,
+              )})`,
+            )
+            .setTextStyle(
+              0,
+              scoreText.length,
+              SpreadsheetApp.newTextStyle()
+                .setFontSize(16)
+                .setBold(true)
+                .build(),
+            )
+            .build(),
+        ];
+      }),
+    );
+}
 
-  const scoresRanked = scores.slice().sort(intComparator);
-  const activePlayerRange = player1Cell
-    .offset(0, -1, numPlayers, 1)
+function renderLiveScores(sheet, game) {
+  getLocationAnchor(sheet, "PLAYER1", game.options)
+    .offset(0, PLAYER_NAME_LENGTH + 2, game.players.length, 1)
     .setValues(
-      scores.map((score) => [RANK_MARKERS[scoresRanked.indexOf(score)]]),
+      game.hands.map((hand, player) => {
+        const cardsScore = scoreCards(hand, game.options);
+        // The net score would give away the hidden token counts
+        return [
+          areTokensHidden(game)
+            ? `${cardsScore}`
+            : `${cardsScore} (${scoreBreakdown(game, player).score})`,
+        ];
+      }),
     );
 }
 
@@ -823,47 +1291,146 @@ function renderActivePlayerMarker(range) {
     .setValue(ACTIVE_PLAYER_MARKER);
 }
 
-function renderTable(file, sheet) {
+function renderTable(file, sheet, playerCount, options) {
+  // The table grows to leave an empty column after the longest possible hand,
+  // and to fit the card tracker (with an empty row below it and an empty
+  // column after it).
+  const height =
+    getTableBaseHeight(sheet, playerCount, options) +
+    (options.CARD_TRACKER ? 2 * getCardTrackerLineCount(options) + 1 : 0);
+  const width = Math.max(
+    getTableLayout(options).MIN_DIMENSIONS.WIDTH,
+    getLocationAnchor(sheet, "PLAYER1", options).getColumn() +
+      getHandsOffset(options) +
+      maxHandSize(options),
+    options.CARD_TRACKER
+      ? CARD_TRACKER_COLUMN +
+          getTableLayout(options).CARD_TRACKER_CARDS_PER_LINE
+      : 0,
+  );
+
   const maxRows = sheet.getMaxRows();
-  if (maxRows < TABLE_DIMENSIONS.HEIGHT) {
-    sheet.insertRows(1, TABLE_DIMENSIONS.HEIGHT - maxRows);
-  } else if (maxRows > TABLE_DIMENSIONS.HEIGHT) {
-    sheet.deleteRows(
-      TABLE_DIMENSIONS.HEIGHT + 1,
-      maxRows - TABLE_DIMENSIONS.HEIGHT,
-    );
+  if (maxRows < height) {
+    sheet.insertRows(1, height - maxRows);
+  } else if (maxRows > height) {
+    sheet.deleteRows(height + 1, maxRows - height);
   }
 
   const maxColumns = sheet.getMaxColumns();
-  if (maxColumns < TABLE_DIMENSIONS.WIDTH) {
-    sheet.insertColumns(1, TABLE_DIMENSIONS.WIDTH - maxColumns);
-  } else if (maxColumns > TABLE_DIMENSIONS.WIDTH) {
-    sheet.deleteColumns(
-      TABLE_DIMENSIONS.WIDTH + 1,
-      maxColumns - TABLE_DIMENSIONS.WIDTH,
-    );
+  if (maxColumns < width) {
+    sheet.insertColumns(1, width - maxColumns);
+  } else if (maxColumns > width) {
+    sheet.deleteColumns(width + 1, maxColumns - width);
   }
 
-  for (let i = 1; i <= TABLE_DIMENSIONS.HEIGHT; i++) {
+  for (let i = 1; i <= height; i++) {
     file.setRowHeight(i, CELL_DIMENSION.HEIGHT);
   }
-  for (let i = 1; i <= TABLE_DIMENSIONS.WIDTH; i++) {
+  for (let i = 1; i <= width; i++) {
     file.setColumnWidth(i, CELL_DIMENSION.WIDTH);
   }
 
   sheet
-    .getRange(1, 1, TABLE_DIMENSIONS.HEIGHT, TABLE_DIMENSIONS.WIDTH)
+    .getRange(1, 1, height, width)
     .setVerticalAlignment("middle")
     .setHorizontalAlignment("center")
-    .setBackground(BG_COLOR);
+    .setBackground(getTheme(options).BACKGROUND)
+    .setFontColor(getTheme(options).TEXT);
 }
 
-function renderTokensBox(sheet) {
-  const tokensRange = SpreadsheetApp.getActiveSheet()
-    .getRange(LOCATION_A1.TOKENS)
-    .offset(0, 0, 4, CARD_SIZE * 2);
+/**
+ * The rows of the table without the card tracker, which goes below them.
+ */
+function getTableBaseHeight(sheet, playerCount, options) {
+  // Leave an empty row below the last player
+  return Math.max(
+    getTableLayout(options).MIN_DIMENSIONS.HEIGHT,
+    getLocationAnchor(sheet, "PLAYER1", options).getRow() + playerCount,
+  );
+}
 
-  tokensRange
+function getCardTrackerLineCount(options) {
+  const { MIN_CARD, MAX_CARD } = options.DECK;
+  return Math.ceil(
+    (MAX_CARD - MIN_CARD + 1) /
+      getTableLayout(options).CARD_TRACKER_CARDS_PER_LINE,
+  );
+}
+
+/**
+ * Each line of the tracker is a row of cards, and under it a row with who took
+ * each of them. Cards still in the deck and cards removed at setup look the
+ * same, telling them apart would give away the removed cards.
+ */
+function renderCardTracker(sheet, game, language) {
+  const { MIN_CARD, MAX_CARD } = game.options.DECK;
+  const { BACKGROUND, CARD_TRACKER_COLORS } = getTheme(game.options);
+  const lineCount = getCardTrackerLineCount(game.options);
+  const { CARD_TRACKER_CARDS_PER_LINE } = getTableLayout(game.options);
+
+  const values = [];
+  const backgrounds = [];
+  const notes = [];
+  for (const line of xrange(lineCount)) {
+    const firstCard = MIN_CARD + line * CARD_TRACKER_CARDS_PER_LINE;
+    const cards = Array.from(
+      xrange(firstCard, firstCard + CARD_TRACKER_CARDS_PER_LINE),
+    ).map((card) => (card <= MAX_CARD ? card : null));
+    const owners = cards.map((card) =>
+      game.hands.findIndex((hand) => hand.includes(card)),
+    );
+
+    values.push(
+      cards.map((card) => (card != null ? card : "")),
+      owners.map((owner) =>
+        owner !== -1
+          ? game.players[owner].slice(0, CARD_TRACKER_NAME_LENGTH)
+          : "",
+      ),
+    );
+    backgrounds.push(
+      cards.map((card, i) => {
+        if (card == null) {
+          return BACKGROUND;
+        }
+        if (owners[i] !== -1) {
+          return CARD_TRACKER_COLORS.TAKEN;
+        }
+        return card === game.currentCard
+          ? CARD_TRACKER_COLORS.OFFERED
+          : CARD_TRACKER_COLORS.UNSEEN;
+      }),
+      cards.map(() => BACKGROUND),
+    );
+    notes.push(
+      owners.map((owner) =>
+        owner !== -1
+          ? getMessage(
+              "CARD_TAKEN_BY",
+              { player: game.players[owner] },
+              language,
+            )
+          : "",
+      ),
+      cards.map(() => ""),
+    );
+  }
+
+  sheet
+    .getRange(
+      getTableBaseHeight(sheet, game.players.length, game.options) + 1,
+      CARD_TRACKER_COLUMN,
+      2 * lineCount,
+      CARD_TRACKER_CARDS_PER_LINE,
+    )
+    .setValues(values)
+    .setBackgrounds(backgrounds)
+    .setNotes(notes)
+    .setFontSize(9);
+}
+
+function renderTokensBox(sheet, options) {
+  getLocationRange(sheet, "TOKENS", options)
     .merge()
     .setBorder(
       true,
@@ -872,7 +1439,7 @@ function renderTokensBox(sheet) {
       true,
       false,
       false,
-      "white",
+      getTheme(options).PILE_FRAME,
       SpreadsheetApp.BorderStyle.SOLID_THICK,
     )
     .setWrap(true);
@@ -881,88 +1448,75 @@ function renderTokensBox(sheet) {
 function getNewPlayersFromUser() {
   const ui = SpreadsheetApp.getUi();
 
-  const players = [];
+  const seats = [];
   for (const i of xrange(1, MAX_PLAYER_COUNT + 1)) {
     const response = ui.prompt(
-      `${i <= 3 ? "" : "Add "}Player ${i}${i <= 3 ? "" : "?"}`,
-      "Name:",
-      i <= 3 ? ui.ButtonSet.OK : ui.ButtonSet.YES_NO,
+      getMessage(i <= MIN_PLAYER_COUNT ? "PLAYER_TITLE" : "ADD_PLAYER_TITLE", {
+        number: i,
+      }),
+      getMessage("PLAYER_TEXT", {
+        botPrefix: BOT_NAME_PREFIX,
+        strategies: Object.keys(BOT_STRATEGIES).join(", "),
+      }),
+      i <= MIN_PLAYER_COUNT ? ui.ButtonSet.OK : ui.ButtonSet.YES_NO,
     );
 
     if (response.getSelectedButton() === ui.Button.NO) {
       break;
     }
 
-    players.push(response.getResponseText());
+    seats.push(parseSeat(response.getResponseText(), seats));
   }
 
-  if (players.length < 3 || players.length > 7) {
-    throw new Error("We only support between 3 to 7 players");
+  if (seats.length < MIN_PLAYER_COUNT || seats.length > MAX_PLAYER_COUNT) {
+    throw new Error(
+      getMessage("PLAYER_COUNT_ERROR", {
+        min: MIN_PLAYER_COUNT,
+        max: MAX_PLAYER_COUNT,
+      }),
+    );
+  }
+
+  if (seats.every(({ bot }) => bot != null)) {
+    throw new Error(getMessage("NO_HUMANS_ERROR"));
   }
 
-  return players;
+  return seats;
 }
 
-function cardNumberColor(cardVal) {
-  if (cardVal >= 3 && cardVal <= 13) {
-    return "#0586ff";
-  } else if (cardVal >= 14 && cardVal <= 24) {
-    return "#ff9d14";
-  } else if (cardVal >= 15 && cardVal <= 35) {
-    return "#d11500";
+function cardNumberColor(cardVal, options) {
+  const { MIN_CARD, MAX_CARD } = options.DECK;
+  if (cardVal < MIN_CARD || cardVal > MAX_CARD) {
+    throw new Error("No color defined for card value " + cardVal);
   }
 
-  throw new Error("No color defined for card value " + cardVal);
+  const { CARD_NUMBER_COLORS } = getTheme(options);
+  return CARD_NUMBER_COLORS[
+    Math.floor(
+      ((cardVal - MIN_CARD) * CARD_NUMBER_COLORS.length) /
+        (MAX_CARD - MIN_CARD + 1),
+    )
+  ];
 }
 
-function cardBorderColor(cardVal) {
-  return (
-    "#" +
-    [
-      "FFE541",
-      "FCF93D",
-      "E5F938",
-      "CBF734",
-      "B1F42F",
-      "96F12B",
-      "7BEF27",
-      "5FEC22",
-      "43EA1E",
-      "27E71A",
-      "16E422",
-      "13E237",
-      "0FDF4C",
-      "0BDC61",
-      "07DA77",
-      "04D78D",
-      "00D5A3",
-      "00D0B0",
-      "00CCBD",
-      "00C8C8",
-      "00B5C4",
-      "00A2C0",
-      "0090BC",
-      "007FB8",
-      "006EB4",
-      "005EB0",
-      "004FAC",
-      "0040A8",
-      "0031A4",
-      "0024A0",
-      "00179C",
-      "000A98",
-      "010094",
-    ][cardVal - 3]
+function cardBorderColor(cardVal, options) {
+  const { MIN_CARD, MAX_CARD } = options.DECK;
+  return interpolateColor(
+    getTheme(options).CARD_BORDER_COLOR_STOPS,
+    (cardVal - MIN_CARD) / (MAX_CARD - MIN_CARD),
   );
 }
 
-////// GENERIC SHEET HELPERS ///////////////////////////////////////////////////
-
-function getCellValue(a1Notation) {
-  const cell = SpreadsheetApp.getActiveSheet().getRange(a1Notation);
-  return cell.isBlank() ? null : cell.getValue();
+/**
+ * The players one per line with their seat number, for prompts asking to pick
+ * one of them by number.
+ */
+function describeNumberedPlayers(players) {
+  return players.map((name, i) => i + 1 + " - " + name).join("\n");
 }
 
+////// GENERIC SHEET HELPERS ///////////////////////////////////////////////////
+
 function singleEntry(func) {
   const sheet = SpreadsheetApp.getActiveSheet();
   const fullTableRange = sheet.getRange(
@@ -972,7 +1526,9 @@ function singleEntry(func) {
     sheet.getMaxColumns(),
   );
 
-  const lock = LockService.getUserLock();
+  // Players (and the turn timer trigger) run as different users, the lock has
+  // to keep all of them out
+  const lock = LockService.getDocumentLock();
   lock.waitLock(MUTEX_LOCKOUT_PERIOD_MS);
 
   // We activate the whole table as a signal that the script is running
@@ -987,18 +1543,53 @@ function singleEntry(func) {
   }
 }
 
-function getHotspotImage(location) {
-  const imageIndex = Object.keys(LOCATION_A1).sort().indexOf(location);
+function replaceTableSheet(file, newSheet) {
+  const previousSheet = file.getSheetByName(TABLE_SHEET_NAME);
+  if (previousSheet != null) {
+    file.deleteSheet(previousSheet);
+  }
+  newSheet.setName(TABLE_SHEET_NAME);
+}
+
+/**
+ * Scripts that aren't run from the spreadsheet (triggers, the web app) don't
+ * have the table as their active sheet, and the game is always rendered on the
+ * active sheet.
+ */
+function activateTableSheet() {
+  const file = SpreadsheetApp.getActive();
+  const sheet = file.getSheetByName(TABLE_SHEET_NAME);
+  if (sheet == null) {
+    throw new Error(getMessage("NO_GAME_ERROR"));
+  }
+
+  file.setActiveSheet(sheet);
+  return sheet;
+}
+
+/**
+ * Inserts a new sheet at the end of the file without moving the user away from
+ * the sheet they are on.
+ */
+function insertBackgroundSheet(name) {
+  const file = SpreadsheetApp.getActive();
+  const activeSheet = file.getActiveSheet();
+  const sheet = file.insertSheet(name, file.getNumSheets());
+  // Inserting a sheet also activates it
+  file.setActiveSheet(activeSheet);
+  return sheet;
+}
+
+function getHotspotImage(sheet, location) {
+  const imageIndex = HOTSPOT_LOCATIONS.indexOf(location);
   if (imageIndex === -1) {
     throw new Error(`Unknown hotspot location ${location}`);
   }
 
-  const images = SpreadsheetApp.getActiveSheet().getImages();
-  if (images.length !== Object.keys(LOCATION_A1).length) {
+  const images = sheet.getImages();
+  if (images.length !== HOTSPOT_LOCATIONS.length) {
     throw new Error(
-      `Expecting exactly ${
-        Object.keys(LOCATION_A1).length
-      } images on the sheet, found ${images.length} instead!`,
+      `Expecting exactly ${HOTSPOT_LOCATIONS.length} images on the sheet, found ${images.length} instead!`,
     );
   }
 
@@ -1018,15 +1609,18 @@ function* xrange(a, b) {
   return start - end;
 }
 
-function randInt(a, b) {
+/**
+ * @param random a function with the same contract as Math.random
+ */
+function randInt(random, a, b) {
   const min = b == null ? 0 : a;
   const max = b == null ? a : b;
-  return min + Math.floor(Math.random() * (max - min + 1));
+  return min + Math.floor(random() * (max - min + 1));
 }
 
-function shuffle(array) {
+function shuffle(random, array) {
   for (let i = array.length - 1; i > 0; i--) {
-    const randomIndex = randInt(i);
+    const randomIndex = randInt(random, i);
     const temporaryValue = array[i];
     array[i] = array[randomIndex];
     array[randomIndex] = temporaryValue;
@@ -1035,6 +1629,60 @@ function shuffle(array) {
   return array;
 }
 
+/**
+ * A deterministic pseudo-random number generator (mulberry32) seeded by a
+ * string, with the same contract as Math.random.
+ */
+function seededRandom(seed) {
+  // Hash the seed into a 32 bit state (FNV-1a)
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function newSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * The color at the given position (between 0 and 1) of a linear gradient going
+ * through the color stops (given as "#rrggbb"), spread evenly.
+ */
+function interpolateColor(stops, position) {
+  const scaled = Math.min(Math.max(position, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(scaled), stops.length - 2);
+  const [from, to] = [stops[i], stops[i + 1]].map((color) =>
+    [1, 3, 5].map((offset) => parseInt(color.substr(offset, 2), 16)),
+  );
+
+  return (
+    "#" +
+    from
+      .map((channel, c) =>
+        Math.round(channel + (to[c] - channel) * (scaled - i))
+          .toString(16)
+          .padStart(2, "0"),
+      )
+      .join("")
+  );
+}
+
 function intComparator(a, b) {
   return a - b;
 }
+
+/**
+ * Unlike `key in object` this doesn't match inherited keys (e.g. "toString"),
+ * use it when the key comes from the user or a file.
+ */
+function hasOwnKey(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
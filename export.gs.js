@@ -0,0 +1,303 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * Games could be exported to a portable JSON file and imported back into any
+ * spreadsheet running this script. The file holds the game state and its
+ * history, so an imported game could still be undone.
+ */
+// Version 2 requires all of the game options, see validateGameOptions
+const EXPORT_SCHEMA_VERSION = 2;
+
+////// API HOOKS ///////////////////////////////////////////////////////////////
+
+function showExportGame() {
+  const game = getGameInProgress();
+
+  if (game.phase !== PHASE.FINAL_SCORE) {
+    // The file holds everything hidden during the game: the tokens of all
+    // players, the order of the deck and the removed cards.
+    const ui = SpreadsheetApp.getUi();
+    if (
+      ui.alert(
+        "Export game in progress?",
+        "The game isn't over yet. The exported file shows every player's tokens, the order of the cards left in the deck and the removed cards. The export will be recorded in the log.",
+        ui.ButtonSet.YES_NO,
+      ) !== ui.Button.YES
+    ) {
+      return;
+    }
+
+    logGameExported(game);
+  }
+
+  const template = HtmlService.createTemplateFromFile("export");
+  template.json = JSON.stringify(
+    {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      game,
+      history: getHistory(),
+    },
+    null,
+    2,
+  );
+  template.fileName = `nothanks-${game.seed}.json`;
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(600).setHeight(480),
+    "Export game",
+  );
+}
+
+function showImportGame() {
+  SpreadsheetApp.getUi().showModalDialog(
+    HtmlService.createHtmlOutputFromFile("import").setWidth(600).setHeight(480),
+    "Import game",
+  );
+}
+
+/**
+ * Called from the import dialog with the contents of an exported game file.
+ * Replaces the current table with the imported game.
+ */
+function importGame(json) {
+  const { game, history } = parseExportedGame(json);
+
+  const file = SpreadsheetApp.getActive();
+  const newSheet = file.insertSheet("Importing table...");
+  file.setActiveSheet(newSheet);
+
+  singleEntry(() => {
+    try {
+      renderNewTable(file, newSheet, game.players, game.options);
+
+      setGame(game);
+      setHistory(history);
+      renderGame(newSheet, game);
+      renderSeatAccounts(newSheet, game);
+      syncTurnTimer(newSheet, game);
+      newLog(game, "Imported game");
+
+      replaceTableSheet(file, newSheet);
+    } catch (err) {
+      file.deleteSheet(newSheet);
+      throw err;
+    }
+
+    // The game could have been exported on a bot's turn
+    playBotTurns();
+  });
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function parseExportedGame(json) {
+  let exported;
+  try {
+    exported = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`The file isn't valid JSON: ${err.message}`);
+  }
+
+  if (exported == null || typeof exported !== "object") {
+    throw new Error("The file doesn't contain an exported game");
+  }
+
+  if (exported.schemaVersion !== EXPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported schema version '${exported.schemaVersion}', expected ${EXPORT_SCHEMA_VERSION}`,
+    );
+  }
+
+  const errors = validateGame(exported.game).map((error) => `game: ${error}`);
+  if (errors.length === 0) {
+    errors.push(...validateHistory(exported.history, exported.game));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `The exported game is invalid:\n${errors
+        .map((error) => `- ${error}`)
+        .join("\n")}`,
+    );
+  }
+
+  return { game: exported.game, history: exported.history };
+}
+
+/**
+ * Returns the list of problems with the game state, empty if it's valid.
+ */
+function validateGame(game) {
+  if (game == null || typeof game !== "object") {
+    return ["missing"];
+  }
+
+  const errors = [];
+  const check = (isValid, error) => {
+    if (!isValid) {
+      errors.push(error);
+    }
+  };
+
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  const isList = (value, isItemValid, length = null) =>
+    Array.isArray(value) &&
+    (length == null || value.length === length) &&
+    value.every(isItemValid);
+
+  check(Object.values(PHASE).includes(game.phase), "unknown phase");
+  check(
+    isList(game.players, (name) => typeof name === "string") &&
+      game.players.length >= MIN_PLAYER_COUNT &&
+      game.players.length <= MAX_PLAYER_COUNT,
+    `players should be a list of ${MIN_PLAYER_COUNT} to ${MAX_PLAYER_COUNT} names`,
+  );
+  const optionErrors = validateGameOptions(game.options);
+  errors.push(...optionErrors);
+  if (optionErrors.length === 0) {
+    check(
+      hasOwnKey(SCORING_RULES, game.options.SCORING),
+      "options should have a known scoring rule",
+    );
+    check(
+      hasOwnKey(THEMES, game.options.THEME),
+      "options should have a known theme",
+    );
+    check(
+      hasOwnKey(TABLE_LAYOUTS, game.options.LAYOUT),
+      "options should have a known layout",
+    );
+  }
+  if (errors.length > 0) {
+    // Everything else depends on the players list and the deck options
+    return errors;
+  }
+
+  const playerCount = game.players.length;
+  const { MIN_CARD, MAX_CARD } = game.options.DECK;
+  const isCard = (value) =>
+    Number.isInteger(value) && value >= MIN_CARD && value <= MAX_CARD;
+  check(
+    game.bots == null ||
+      isList(
+        game.bots,
+        (bot) => bot == null || hasOwnKey(BOT_STRATEGIES, bot),
+        playerCount,
+      ),
+    "bots should be a known strategy (or null) for each player",
+  );
+  check(
+    isList(game.tokens, isCount, playerCount),
+    "tokens should be a count for each player",
+  );
+  check(
+    isList(game.hands, (hand) => isList(hand, isCard), playerCount),
+    "hands should be a list of cards for each player",
+  );
+  check(
+    Number.isInteger(game.activePlayer) &&
+      game.activePlayer >= 0 &&
+      game.activePlayer < playerCount,
+    "activePlayer should be one of the players",
+  );
+  check(isCount(game.pool), "pool should be a token count");
+  check(
+    game.currentCard == null || isCard(game.currentCard),
+    "currentCard should be a card",
+  );
+  check(isList(game.deck, isCard), "deck should be a list of cards");
+  check(isList(game.removed, isCard), "removed should be a list of cards");
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const allCards = game.hands
+    .flat()
+    .concat(game.deck, game.removed)
+    .concat(game.currentCard != null ? [game.currentCard] : [])
+    .sort(intComparator);
+  check(
+    allCards.length === MAX_CARD - MIN_CARD + 1 &&
+      allCards.every((card, i) => card === MIN_CARD + i),
+    `the cards should be exactly ${MIN_CARD} to ${MAX_CARD}, each once`,
+  );
+  check(
+    game.tokens.reduce((sum, tokens) => sum + tokens, game.pool) ===
+      tokensPerPlayer(playerCount) * playerCount,
+    "the total number of tokens doesn't match the player count",
+  );
+  check(
+    (game.currentCard != null) === (game.phase === PHASE.TURN),
+    "there should be a current card only on a player's turn",
+  );
+  check(
+    game.phase !== PHASE.FINAL_SCORE ||
+      isList(game.scores, Number.isInteger, playerCount),
+    "scores should be a number for each player",
+  );
+
+  return errors;
+}
+
+/**
+ * The game is played and drawn with all of its options, so each one of the
+ * DEFAULT_OPTIONS should be there with the same type as its default value.
+ */
+function validateGameOptions(
+  options,
+  defaults = DEFAULT_OPTIONS,
+  path = "options",
+) {
+  if (
+    options == null ||
+    typeof options !== "object" ||
+    Array.isArray(options)
+  ) {
+    return [`${path} are missing`];
+  }
+
+  return Object.entries(defaults).flatMap(([key, defaultValue]) =>
+    typeof defaultValue === "object"
+      ? validateGameOptions(
+          hasOwnKey(options, key) ? options[key] : null,
+          defaultValue,
+          `${path}.${key}`,
+        )
+      : hasOwnKey(options, key) && typeof options[key] === typeof defaultValue
+      ? []
+      : [`${path}.${key} should be a ${typeof defaultValue}`],
+  );
+}
+
+function validateHistory(history, game) {
+  if (history == null || typeof history !== "object") {
+    return ["history: missing"];
+  }
+
+  const errors = validateGame(history.initialGame).map(
+    (error) => `history.initialGame: ${error}`,
+  );
+  const isActionList = (actions) =>
+    Array.isArray(actions) &&
+    actions.every((action) => hasOwnKey(GAME_ACTIONS, action));
+  if (!isActionList(history.actions) || !isActionList(history.undone)) {
+    errors.push("history: actions should be a list of game actions");
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  let replayedGame;
+  try {
+    replayedGame = replayGame(history.initialGame, history.actions);
+  } catch (err) {
+    return [`history: the actions can't be replayed (${err.message})`];
+  }
+
+  if (JSON.stringify(replayedGame) !== JSON.stringify(game)) {
+    return ["history: replaying the actions doesn't result in the game"];
+  }
+
+  return [];
+}
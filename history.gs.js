@@ -0,0 +1,211 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The game history is kept as the initial game state and the list of actions
+ * played since. Because all game transitions are deterministic we can rebuild
+ * any point in the game by replaying the actions, which keeps the history
+ * small enough to fit in the document properties.
+ */
+const HISTORY_PROPERTY_NAME = "history";
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function undoLastAction() {
+  // The menu could be used from any sheet, but the game is drawn on the table
+  activateTableSheet();
+  singleEntry(() => {
+    const history = getHistory();
+    if (history == null || history.actions.length === 0) {
+      throw new Error(getMessage("NOTHING_TO_UNDO_ERROR"));
+    }
+
+    // Bots play right after the human action that handed them the turn, so we
+    // undo their actions together with it.
+    let actions = history.actions;
+    let undone = history.undone;
+    let restoredGame;
+    do {
+      undone = undone.concat(actions.slice(-1));
+      actions = actions.slice(0, -1);
+      restoredGame = replayGame(history.initialGame, actions);
+    } while (actions.length > 0 && isBotTurn(restoredGame));
+
+    const undoneActions = undone.slice(history.undone.length);
+    const undoneAction = undoneActions[undoneActions.length - 1];
+    assertHistoryChangeAllowed(restoredGame, undoneAction);
+    const description = describeActions(
+      restoredGame,
+      undoneAction,
+      undoneActions.length - 1,
+    );
+
+    if (!confirmHistoryChange("UNDO", description)) {
+      return;
+    }
+
+    updateGame(() => restoredGame, { ...history, actions, undone });
+    logHistoryChange(restoredGame, "Undo", description);
+    if (undoneActions.includes("finalScore")) {
+      syncLeagueGame(restoredGame);
+      syncMatchGame(restoredGame);
+    }
+
+    SpreadsheetApp.getActive().toast(description, getMessage("UNDONE_TITLE"));
+
+    // Undoing all the actions of a game a bot starts leaves it the bot's turn
+    playBotTurns();
+  });
+}
+
+function redoLastAction() {
+  activateTableSheet();
+  singleEntry(() => {
+    const history = getHistory();
+    if (history == null || history.undone.length === 0) {
+      throw new Error(getMessage("NOTHING_TO_REDO_ERROR"));
+    }
+
+    // Redo the human action together with the bot actions that followed it
+    let actions = history.actions;
+    let undone = history.undone;
+    let redoneGame = getGame();
+    do {
+      const action = undone[undone.length - 1];
+      undone = undone.slice(0, -1);
+      actions = actions.concat([action]);
+      redoneGame = GAME_ACTIONS[action](redoneGame);
+    } while (undone.length > 0 && isBotTurn(redoneGame));
+
+    const redoneActions = actions.slice(history.actions.length);
+    assertHistoryChangeAllowed(getGame(), redoneActions[0]);
+    const description = describeActions(
+      getGame(),
+      redoneActions[0],
+      redoneActions.length - 1,
+    );
+
+    if (!confirmHistoryChange("REDO", description)) {
+      return;
+    }
+
+    updateGame(() => redoneGame, { ...history, actions, undone });
+    logHistoryChange(redoneGame, "Redo", description);
+    if (redoneActions.includes("finalScore")) {
+      syncLeagueGame(redoneGame);
+      syncMatchGame(redoneGame);
+    }
+
+    SpreadsheetApp.getActive().toast(description, getMessage("REDONE_TITLE"));
+  });
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Only the account bound to a seat could undo or redo the actions played from
+ * it, like only it could play them.
+ *
+ * @param game the game the action was played on.
+ */
+function assertHistoryChangeAllowed(game, action) {
+  if (action === "finalScore") {
+    // Anyone could reveal the final score
+    return;
+  }
+
+  assertSeatAccount(game.players[game.activePlayer], "HISTORY_SEAT_ERROR");
+}
+
+/**
+ * @param change either "UNDO" or "REDO", the prefix of the prompt's messages.
+ */
+function confirmHistoryChange(change, description) {
+  const ui = SpreadsheetApp.getUi();
+  return (
+    ui.alert(
+      getMessage(`${change}_TITLE`),
+      getMessage(`${change}_TEXT`, { action: description }),
+      ui.ButtonSet.YES_NO,
+    ) === ui.Button.YES
+  );
+}
+
+function replayGame(initialGame, actions) {
+  return actions.reduce(
+    (game, action) => GAME_ACTIONS[action](game),
+    initialGame,
+  );
+}
+
+function describeActions(game, action, botActionsCount) {
+  const description = describeAction(game, action);
+  return botActionsCount > 0
+    ? getMessage("ACTION_WITH_BOTS", {
+        action: description,
+        count: botActionsCount,
+      })
+    : description;
+}
+
+/**
+ * A human readable description of what playing the action on the game would
+ * do.
+ */
+function describeAction(game, action) {
+  const values = {
+    player: game.players[game.activePlayer],
+    card: action === "reveal" ? game.deck[0] : game.currentCard,
+    pool: game.pool,
+  };
+  switch (action) {
+    case "reveal":
+      return getMessage("ACTION_REVEAL", values);
+
+    case "pass":
+      return getMessage("ACTION_PASS", values);
+
+    case "take":
+      return getMessage(
+        game.pool > 0 ? "ACTION_TAKE_POOL" : "ACTION_TAKE",
+        values,
+      );
+
+    case "finalScore":
+      return getMessage("ACTION_FINAL_SCORE");
+  }
+
+  throw new Error(`Unknown action ${action}`);
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function newHistory(initialGame) {
+  setHistory({ initialGame, actions: [], undone: [] });
+}
+
+function recordAction(action) {
+  const history = getHistory();
+  setHistory({
+    ...history,
+    actions: history.actions.concat([action]),
+    // A new action makes the undone ones irrelevant
+    undone: [],
+  });
+}
+
+function getHistory() {
+  const history = getJsonProperty(HISTORY_PROPERTY_NAME);
+  if (history == null) {
+    return null;
+  }
+
+  return { ...history, initialGame: withDefaultOptions(history.initialGame) };
+}
+
+function setHistory(history) {
+  PropertiesService.getDocumentProperties().setProperty(
+    HISTORY_PROPERTY_NAME,
+    JSON.stringify(history),
+  );
+}
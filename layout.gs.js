@@ -0,0 +1,124 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * Where everything goes on the table. The layout is picked in the settings and
+ * kept in the game options, the table grows from it to fit the players and
+ * their hands.
+ *
+ * Clicks on the table are caught by transparent images (hotspots) laid over
+ * the deck, the card and the tokens box. Their size is measured from the
+ * actual row heights and column widths of the sheet, so they still cover
+ * their area after someone resizes a row or a column (and the browser zoom
+ * scales the images together with the cells). They are measured again
+ * whenever the phase changes, and when the sheet's structure or formatting
+ * changes.
+ */
+const TABLE_LAYOUTS = {
+  wide: {
+    title: "Wide",
+    // The players sit to the right of the piles
+    LOCATION_A1: { DECK: "B2", CARD: "N2", TOKENS: "C13", PLAYER1: "Z6" },
+    MIN_DIMENSIONS: { HEIGHT: 17, WIDTH: 56 },
+    // The tracker spans the width of the table, leaving a margin on both sides
+    CARD_TRACKER_CARDS_PER_LINE: 54,
+  },
+
+  compact: {
+    title: "Compact",
+    // The players sit below the piles, which fits narrow screens better
+    LOCATION_A1: { DECK: "B2", CARD: "N2", TOKENS: "C13", PLAYER1: "C18" },
+    MIN_DIMENSIONS: { HEIGHT: 17, WIDTH: 25 },
+    CARD_TRACKER_CARDS_PER_LINE: 27,
+  },
+};
+
+// The hotspot images are kept on the sheet in this order
+const HOTSPOT_LOCATIONS = ["CARD", "DECK", "TOKENS"];
+
+const HOTSPOT_SYNC_TRIGGER_HANDLER = "syncHotspotsOnChange";
+
+// The changes that could move or resize the areas under the hotspots
+const HOTSPOT_SYNC_CHANGE_TYPES = [
+  "FORMAT",
+  "OTHER",
+  "INSERT_ROW",
+  "INSERT_COLUMN",
+  "REMOVE_ROW",
+  "REMOVE_COLUMN",
+];
+
+////// API HOOKS ///////////////////////////////////////////////////////////////
+
+/**
+ * Called by the on change trigger.
+ */
+function syncHotspotsOnChange(e) {
+  if (!HOTSPOT_SYNC_CHANGE_TYPES.includes(e.changeType)) {
+    return;
+  }
+
+  const game = getGame();
+  const sheet = SpreadsheetApp.getActive().getSheetByName(TABLE_SHEET_NAME);
+  if (game == null || sheet == null) {
+    return;
+  }
+
+  renderHotspotScripts(sheet, game);
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function getTableLayout(options) {
+  return TABLE_LAYOUTS[options.LAYOUT];
+}
+
+/**
+ * The top left cell of the location.
+ */
+function getLocationAnchor(sheet, location, options) {
+  return sheet.getRange(getTableLayout(options).LOCATION_A1[location]);
+}
+
+/**
+ * All the cells of a pile or the tokens box.
+ */
+function getLocationRange(sheet, location, options) {
+  const anchor = getLocationAnchor(sheet, location, options);
+  return location === "TOKENS"
+    ? anchor.offset(0, 0, 4, CARD_SIZE * 2)
+    : anchor.offset(0, 0, CARD_SIZE, CARD_SIZE);
+}
+
+/**
+ * The size of the range in pixels, as currently shown on the sheet.
+ */
+function measureRange(sheet, range) {
+  let width = 0;
+  for (const column of xrange(range.getNumColumns())) {
+    width += sheet.getColumnWidth(range.getColumn() + column);
+  }
+
+  let height = 0;
+  for (const row of xrange(range.getNumRows())) {
+    height += sheet.getRowHeight(range.getRow() + row);
+  }
+
+  return { width, height };
+}
+
+function ensureHotspotSyncTrigger() {
+  if (
+    ScriptApp.getProjectTriggers().some(
+      (trigger) =>
+        trigger.getHandlerFunction() === HOTSPOT_SYNC_TRIGGER_HANDLER,
+    )
+  ) {
+    return;
+  }
+
+  ScriptApp.newTrigger(HOTSPOT_SYNC_TRIGGER_HANDLER)
+    .forSpreadsheet(SpreadsheetApp.getActive())
+    .onChange()
+    .create();
+}
@@ -0,0 +1,283 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The results of every finished game are kept in a results sheet (one row per
+ * player per game), marking which of them were league games. The League sheet
+ * shows the standings of the current season, computed from the league games
+ * only. Neither sheet is touched when a new table is created.
+ */
+const LEAGUE_SHEET_NAME = "League";
+const LEAGUE_RESULTS_SHEET_NAME = "League Results";
+const LEAGUE_SEASON_PROPERTY_NAME = "leagueSeason";
+
+const LEAGUE_RESULTS_HEADERS = [
+  "Season",
+  "Game",
+  "Date",
+  "Player",
+  "Seat",
+  "Score",
+  "Rank",
+  "Tokens left",
+  "Cards",
+  "Passes",
+  "Takes",
+  "Tokens taken",
+  "Biggest pot",
+  "League",
+];
+const LEAGUE_STANDINGS_HEADERS = [
+  "Player",
+  "Games played",
+  "Wins",
+  "Average score",
+  "Average placement",
+];
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function newLeagueSeason() {
+  const ui = SpreadsheetApp.getUi();
+  const season = getLeagueSeason();
+  if (
+    ui.alert(
+      "New league season?",
+      `Close season ${season} and start season ${season + 1}?
+The results of all seasons are kept in the "${LEAGUE_RESULTS_SHEET_NAME}" sheet.`,
+      ui.ButtonSet.YES_NO,
+    ) !== ui.Button.YES
+  ) {
+    return;
+  }
+
+  setLeagueSeason(season + 1);
+  renderLeagueStandings();
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Makes sure the results match the game: a scored game has its results
+ * recorded (exactly once), otherwise it has none.
+ */
+function syncLeagueGame(game) {
+  const sheet = getLeagueResultsSheet();
+  removeLeagueGameResults(sheet, game.id);
+
+  if (game.phase === PHASE.FINAL_SCORE) {
+    const season = getLeagueSeason();
+    const date = new Date();
+    const ranks = rankPlayers(game);
+    const { initialGame, actions } = getHistory();
+    const stats = computeGameStats(initialGame, actions);
+    const rows = game.players.map((player, seat) => [
+      season,
+      game.id,
+      date,
+      player,
+      seat + 1,
+      game.scores[seat],
+      ranks[seat] + 1,
+      game.tokens[seat],
+      game.hands[seat].length,
+      stats[seat].passes,
+      stats[seat].takes,
+      stats[seat].tokensTaken,
+      stats[seat].biggestPot,
+      game.options.LEAGUE,
+    ]);
+    sheet
+      .getRange(
+        sheet.getLastRow() + 1,
+        1,
+        rows.length,
+        LEAGUE_RESULTS_HEADERS.length,
+      )
+      .setValues(rows);
+  }
+
+  renderLeagueStandings();
+}
+
+function computeStandings(results) {
+  const standings = {};
+  for (const result of results) {
+    if (!(result.player in standings)) {
+      standings[result.player] = {
+        player: result.player,
+        games: 0,
+        wins: 0,
+        totalScore: 0,
+        totalRank: 0,
+      };
+    }
+
+    const standing = standings[result.player];
+    standing.games++;
+    standing.wins += result.rank === 1 ? 1 : 0;
+    standing.totalScore += result.score;
+    standing.totalRank += result.rank;
+  }
+
+  return Object.values(standings)
+    .map(({ player, games, wins, totalScore, totalRank }) => ({
+      player,
+      games,
+      wins,
+      averageScore: totalScore / games,
+      averageRank: totalRank / games,
+    }))
+    .sort((a, b) => b.wins - a.wins || a.averageRank - b.averageRank);
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function getLeagueSeason() {
+  const season = PropertiesService.getDocumentProperties().getProperty(
+    LEAGUE_SEASON_PROPERTY_NAME,
+  );
+  return season != null ? parseInt(season, 10) : 1;
+}
+
+function setLeagueSeason(season) {
+  PropertiesService.getDocumentProperties().setProperty(
+    LEAGUE_SEASON_PROPERTY_NAME,
+    season,
+  );
+}
+
+/**
+ * All recorded results, one object per player per game.
+ */
+function getLeagueResults() {
+  const sheet = getLeagueResultsSheet();
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  return sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, LEAGUE_RESULTS_HEADERS.length)
+    .getValues()
+    .map(
+      ([
+        season,
+        game,
+        date,
+        player,
+        seat,
+        score,
+        rank,
+        tokens,
+        cards,
+        passes,
+        takes,
+        tokensTaken,
+        biggestPot,
+        league,
+      ]) => ({
+        season,
+        game,
+        date,
+        player,
+        seat,
+        score,
+        rank,
+        tokens,
+        cards,
+        passes,
+        takes,
+        tokensTaken,
+        biggestPot,
+        // Results recorded before non-league games were kept have no value
+        // here, but they were all league games
+        league: league !== false,
+      }),
+    );
+}
+
+function removeLeagueGameResults(sheet, gameId) {
+  if (sheet.getLastRow() < 2) {
+    return;
+  }
+
+  const gameIds = sheet
+    .getRange(
+      2,
+      LEAGUE_RESULTS_HEADERS.indexOf("Game") + 1,
+      sheet.getLastRow() - 1,
+      1,
+    )
+    .getValues();
+
+  // Delete from the bottom so that the row numbers don't shift under us
+  for (let i = gameIds.length - 1; i >= 0; i--) {
+    if (gameIds[i][0] === gameId) {
+      sheet.deleteRow(i + 2);
+    }
+  }
+}
+
+function getLeagueResultsSheet() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(
+    LEAGUE_RESULTS_SHEET_NAME,
+  );
+  if (sheet != null) {
+    return sheet;
+  }
+
+  const newSheet = insertBackgroundSheet(LEAGUE_RESULTS_SHEET_NAME);
+  renderLeagueHeaders(newSheet.getRange(1, 1), LEAGUE_RESULTS_HEADERS);
+  newSheet.setFrozenRows(1);
+  return newSheet;
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function renderLeagueStandings() {
+  const file = SpreadsheetApp.getActive();
+  const sheet =
+    file.getSheetByName(LEAGUE_SHEET_NAME) ||
+    insertBackgroundSheet(LEAGUE_SHEET_NAME);
+
+  const season = getLeagueSeason();
+  const standings = computeStandings(
+    getLeagueResults().filter(
+      (result) => result.league && result.season === season,
+    ),
+  );
+
+  sheet.clear();
+  sheet
+    .getRange(1, 1)
+    .setValue(`Season ${season} standings`)
+    .setFontSize(16)
+    .setFontWeight("bold");
+  renderLeagueHeaders(sheet.getRange(2, 1), LEAGUE_STANDINGS_HEADERS);
+  sheet.setFrozenRows(2);
+
+  if (standings.length === 0) {
+    return;
+  }
+
+  sheet
+    .getRange(3, 1, standings.length, LEAGUE_STANDINGS_HEADERS.length)
+    .setValues(
+      standings.map(({ player, games, wins, averageScore, averageRank }) => [
+        player,
+        games,
+        wins,
+        averageScore,
+        averageRank,
+      ]),
+    )
+    .offset(0, 3, standings.length, 2)
+    .setNumberFormat("0.0");
+}
+
+function renderLeagueHeaders(firstCell, headers) {
+  firstCell
+    .offset(0, 0, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold");
+}
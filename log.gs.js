@@ -0,0 +1,275 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The log is a sheet recording every action played on the current table. It is
+ * replaced together with the table whenever a new table is created.
+ */
+const LOG_SHEET_NAME = "Log";
+const LOG_HEADERS = [
+  "Time",
+  "Player",
+  "Action",
+  "Card",
+  "Pool",
+  "Tokens",
+  "Details",
+];
+const LOG_TOKENS_COLUMN = LOG_HEADERS.indexOf("Tokens") + 1;
+
+// With hidden tokens the players' token counts are kept here (as pairs of row
+// number and count) instead of in the log, until the game is over.
+const HIDDEN_LOG_TOKENS_PROPERTY_NAME = "hiddenLogTokens";
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function newLog(game, title) {
+  const file = SpreadsheetApp.getActive();
+  const previousSheet = file.getSheetByName(LOG_SHEET_NAME);
+  if (previousSheet != null) {
+    file.deleteSheet(previousSheet);
+  }
+  PropertiesService.getDocumentProperties().deleteProperty(
+    HIDDEN_LOG_TOKENS_PROPERTY_NAME,
+  );
+
+  renderLogSheet(insertBackgroundSheet(LOG_SHEET_NAME));
+
+  appendLogRows(game, [
+    logRow(
+      game,
+      null,
+      title,
+      null,
+      null,
+      `${game.players.join(", ")} (seed: ${game.seed})`,
+    ),
+  ]);
+}
+
+function logReveal(game) {
+  appendLogRows(game, [
+    logRow(game, game.activePlayer, "Reveal", game.currentCard),
+  ]);
+}
+
+function logAction(action, previousGame, game) {
+  const player = previousGame.activePlayer;
+  switch (action) {
+    case "reveal":
+      logReveal(game);
+      return;
+
+    case "pass":
+      appendLogRows(game, [
+        logRow(game, player, "No thanks", previousGame.currentCard),
+      ]);
+      return;
+
+    case "take": {
+      const rows = [
+        logRow(
+          game,
+          player,
+          "Take",
+          previousGame.currentCard,
+          previousGame.pool,
+        ),
+      ];
+      if (game.currentCard != null) {
+        // The next card was auto-revealed
+        rows.push(logRow(game, game.activePlayer, "Reveal", game.currentCard));
+      }
+      appendLogRows(game, rows);
+      return;
+    }
+
+    case "finalScore": {
+      const { initialGame } = getHistory();
+      const deckOrder = (
+        initialGame.currentCard != null ? [initialGame.currentCard] : []
+      ).concat(initialGame.deck);
+      const tieBreakers = getUsedTieBreakers(game);
+
+      appendLogRows(
+        game,
+        game.players
+          .map((_, player) =>
+            logRow(
+              game,
+              player,
+              "Final score",
+              null,
+              null,
+              `Score: ${game.scores[player]} (${describeScoreBreakdown(
+                scoreBreakdown(game, player),
+              )})`,
+            ),
+          )
+          .concat(
+            tieBreakers.length > 0
+              ? [
+                  logRow(
+                    game,
+                    null,
+                    "Tie-breakers",
+                    null,
+                    null,
+                    tieBreakers
+                      .map((tieBreaker) => TIE_BREAKERS[tieBreaker].title)
+                      .join(", then "),
+                  ),
+                ]
+              : [],
+          )
+          .concat([
+            logRow(game, null, "Deck order", null, null, deckOrder.join(", ")),
+            logRow(
+              game,
+              null,
+              "Removed cards",
+              null,
+              null,
+              initialGame.removed.join(", "),
+            ),
+          ]),
+      );
+      revealLogTokens();
+      return;
+    }
+  }
+
+  throw new Error(`Unknown action ${action}`);
+}
+
+function logTurnTimeout(game, isAutoPlayed) {
+  appendLogRows(game, [
+    logRow(
+      game,
+      game.activePlayer,
+      "Timed out",
+      game.currentCard,
+      game.pool,
+      isAutoPlayed ? "Played automatically" : "",
+    ),
+  ]);
+}
+
+/**
+ * Exporting a game in progress exposes its hidden information, so the table
+ * should know about it.
+ */
+function logGameExported(game) {
+  const email = Session.getActiveUser().getEmail();
+  appendLogRows(game, [
+    logRow(
+      game,
+      null,
+      "Game exported",
+      null,
+      null,
+      email !== "" ? `By ${email}` : "",
+    ),
+  ]);
+}
+
+/**
+ * The notification to the active player couldn't be sent (see notify.gs.js).
+ */
+function logNotificationFailed(game, err) {
+  appendLogRows(game, [
+    logRow(
+      game,
+      game.activePlayer,
+      "Notification failed",
+      null,
+      null,
+      err.message,
+    ),
+  ]);
+}
+
+function logHistoryChange(game, title, description) {
+  appendLogRows(game, [logRow(game, null, title, null, null, description)]);
+}
+
+function logRow(game, player, action, card, pool = game.pool, details = "") {
+  return [
+    new Date(),
+    player != null ? game.players[player] : "",
+    action,
+    card != null ? card : "",
+    pool != null ? pool : "",
+    player != null ? game.tokens[player] : "",
+    details,
+  ];
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function appendLogRows(game, rows) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(LOG_SHEET_NAME);
+  if (sheet == null) {
+    // Someone deleted the log, we don't want to fail the game because of it
+    return;
+  }
+
+  const firstRow = sheet.getLastRow() + 1;
+  let visibleRows = rows;
+  if (areTokensHidden(game)) {
+    const hiddenTokens = getHiddenLogTokens();
+    visibleRows = rows.map((row, i) => {
+      const tokens = row[LOG_TOKENS_COLUMN - 1];
+      if (tokens === "") {
+        return row;
+      }
+
+      hiddenTokens.push([firstRow + i, tokens]);
+      const hiddenRow = row.slice();
+      hiddenRow[LOG_TOKENS_COLUMN - 1] = HIDDEN_TOKENS_REPR;
+      return hiddenRow;
+    });
+    setHiddenLogTokens(hiddenTokens);
+  }
+
+  sheet
+    .getRange(firstRow, 1, rows.length, LOG_HEADERS.length)
+    .setValues(visibleRows)
+    .offset(0, LOG_TOKENS_COLUMN - 1, rows.length, 1)
+    .setNumberFormat(getPlayerTokensNumberFormat());
+}
+
+function revealLogTokens() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(LOG_SHEET_NAME);
+  if (sheet == null) {
+    return;
+  }
+
+  for (const [row, tokens] of getHiddenLogTokens()) {
+    sheet.getRange(row, LOG_TOKENS_COLUMN).setValue(tokens);
+  }
+  PropertiesService.getDocumentProperties().deleteProperty(
+    HIDDEN_LOG_TOKENS_PROPERTY_NAME,
+  );
+}
+
+function getHiddenLogTokens() {
+  return getJsonProperty(HIDDEN_LOG_TOKENS_PROPERTY_NAME, []);
+}
+
+function setHiddenLogTokens(hiddenTokens) {
+  PropertiesService.getDocumentProperties().setProperty(
+    HIDDEN_LOG_TOKENS_PROPERTY_NAME,
+    JSON.stringify(hiddenTokens),
+  );
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function renderLogSheet(sheet) {
+  sheet
+    .getRange(1, 1, 1, LOG_HEADERS.length)
+    .setValues([LOG_HEADERS])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+}
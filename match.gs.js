@@ -0,0 +1,276 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * A match is a series of rounds (games) played by the same players, either for
+ * a fixed number of rounds or until someone's total score reaches a target.
+ * Either way the lowest total wins. The scores of each round are kept in the
+ * Match sheet, which isn't touched when the table of the next round is
+ * created.
+ */
+const MATCH_PROPERTY_NAME = "match";
+const MATCH_SHEET_NAME = "Match";
+
+const MATCH_MODE = { ROUNDS: "rounds", TARGET: "target" };
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function newMatch() {
+  const ui = SpreadsheetApp.getUi();
+  const modeResponse = ui.alert(
+    "New match",
+    `Click "Yes" to play a fixed number of rounds
+
+Or "No" to play until someone's total score reaches a target`,
+    ui.ButtonSet.YES_NO_CANCEL,
+  );
+  if (modeResponse !== ui.Button.YES && modeResponse !== ui.Button.NO) {
+    return;
+  }
+
+  const mode =
+    modeResponse === ui.Button.YES ? MATCH_MODE.ROUNDS : MATCH_MODE.TARGET;
+  const length = promptMatchLength(mode);
+  if (length == null) {
+    return;
+  }
+
+  const rotateStartPlayer =
+    ui.alert(
+      "Rotate start player?",
+      `Click "Yes" to have the next player start each round
+
+Or "No" to pick the start player of each round as usual`,
+      ui.ButtonSet.YES_NO,
+    ) === ui.Button.YES;
+
+  setUpNewTable(() => {
+    const setup = getNewTableSetup();
+
+    const match = {
+      id: Utilities.getUuid(),
+      mode,
+      length,
+      rotateStartPlayer,
+      seats: setup.seats,
+      rounds: [],
+    };
+    setMatch(match);
+    renderMatchScoreboard(match);
+
+    return { ...setup, match: { id: match.id, startPlayer: null } };
+  });
+}
+
+function nextRound() {
+  const match = getMatch();
+  if (match == null) {
+    throw new Error("No match in progress, start a New match first");
+  }
+
+  if (isMatchOver(match)) {
+    throw new Error("The match is over, start a New match");
+  }
+
+  const game = getGame();
+  if (
+    game != null &&
+    game.matchId === match.id &&
+    game.phase !== PHASE.FINAL_SCORE
+  ) {
+    throw new Error("Finish the current round first");
+  }
+
+  const previousStartPlayer =
+    game != null && game.matchId === match.id
+      ? getHistory().initialGame.activePlayer
+      : null;
+
+  setUpNewTable(() => ({
+    seats: match.seats,
+    options: getOptions(),
+    seed: newSeed(),
+    match: {
+      id: match.id,
+      startPlayer:
+        match.rotateStartPlayer && previousStartPlayer != null
+          ? (previousStartPlayer + 1) % match.seats.length
+          : null,
+    },
+  }));
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function promptMatchLength(mode) {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    mode === MATCH_MODE.ROUNDS ? "Number of rounds" : "Target score",
+    mode === MATCH_MODE.ROUNDS
+      ? "How many rounds should the match have?"
+      : "The match ends once someone's total score reaches:",
+    ui.ButtonSet.OK_CANCEL,
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return null;
+  }
+
+  const length = parseInt(response.getResponseText(), 10);
+  if (!(length > 0)) {
+    throw new Error(`Invalid value: ${response.getResponseText()}`);
+  }
+
+  return length;
+}
+
+/**
+ * Called after the final score of a game is revealed. When the game is a
+ * round of the current match we either offer to play the next round or, if
+ * that was the last round, announce the winner.
+ */
+function offerNextMatchRound() {
+  const match = getMatch();
+  const game = getGame();
+  if (
+    match == null ||
+    game == null ||
+    game.matchId !== match.id ||
+    game.phase !== PHASE.FINAL_SCORE
+  ) {
+    return;
+  }
+
+  const ui = SpreadsheetApp.getUi();
+  if (isMatchOver(match)) {
+    ui.alert(
+      "Match over!",
+      `${describeMatchWinners(match)}
+
+${describeMatchStatus(match)}`,
+      ui.ButtonSet.OK,
+    );
+    return;
+  }
+
+  if (
+    ui.alert(
+      "Next round?",
+      `${describeMatchStatus(match)}
+
+Start the next round?`,
+      ui.ButtonSet.YES_NO,
+    ) === ui.Button.YES
+  ) {
+    nextRound();
+  }
+}
+
+/**
+ * Makes sure the match scoreboard matches the game: a scored round has its
+ * scores recorded (exactly once), otherwise it has none.
+ */
+function syncMatchGame(game) {
+  const match = getMatch();
+  if (match == null || game.matchId !== match.id) {
+    return;
+  }
+
+  const rounds = match.rounds.filter((round) => round.game !== game.id);
+  if (game.phase === PHASE.FINAL_SCORE) {
+    rounds.push({ game: game.id, seed: game.seed, scores: game.scores });
+  }
+
+  const nextMatch = { ...match, rounds };
+  setMatch(nextMatch);
+  renderMatchScoreboard(nextMatch);
+}
+
+function getMatchTotals(match) {
+  return match.seats.map((_, seat) =>
+    match.rounds.reduce((total, round) => total + round.scores[seat], 0),
+  );
+}
+
+function isMatchOver(match) {
+  switch (match.mode) {
+    case MATCH_MODE.ROUNDS:
+      return match.rounds.length >= match.length;
+
+    case MATCH_MODE.TARGET:
+      return getMatchTotals(match).some((total) => total >= match.length);
+  }
+
+  throw new Error(`Unknown match mode ${match.mode}`);
+}
+
+/**
+ * The seats with the lowest total score, more than one when they are tied.
+ */
+function getMatchWinners(match) {
+  const totals = getMatchTotals(match);
+  const best = Math.min(...totals);
+  return match.seats.filter((_, seat) => totals[seat] === best);
+}
+
+function describeMatchStatus(match) {
+  const totals = getMatchTotals(match);
+  const standings = match.seats
+    .map(({ name }, seat) => `${name}: ${totals[seat]}`)
+    .join(", ");
+  return match.mode === MATCH_MODE.ROUNDS
+    ? `${match.rounds.length} of ${match.length} rounds played - ${standings}`
+    : `${match.rounds.length} rounds played, to a target of ${match.length} - ${standings}`;
+}
+
+function describeMatchWinners(match) {
+  const winners = getMatchWinners(match).map(({ name }) => name);
+  const total = Math.min(...getMatchTotals(match));
+  return winners.length > 1
+    ? `${winners.join(" and ")} share the win with a total of ${total}`
+    : `${winners[0]} wins the match with a total of ${total}`;
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function getMatch() {
+  return getJsonProperty(MATCH_PROPERTY_NAME);
+}
+
+function setMatch(match) {
+  PropertiesService.getDocumentProperties().setProperty(
+    MATCH_PROPERTY_NAME,
+    JSON.stringify(match),
+  );
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function renderMatchScoreboard(match) {
+  const sheet =
+    SpreadsheetApp.getActive().getSheetByName(MATCH_SHEET_NAME) ||
+    insertBackgroundSheet(MATCH_SHEET_NAME);
+
+  const names = match.seats.map(({ name }) => name);
+  const rows = [["Round", ...names]]
+    .concat(match.rounds.map((round, i) => [i + 1, ...round.scores]))
+    .concat([["Total", ...getMatchTotals(match)]]);
+
+  sheet.clear();
+  sheet
+    .getRange(1, 1)
+    .setValue(
+      isMatchOver(match)
+        ? describeMatchWinners(match)
+        : describeMatchStatus(match),
+    )
+    .setFontSize(16)
+    .setFontWeight("bold");
+  sheet
+    .getRange(2, 1, rows.length, names.length + 1)
+    .setValues(rows)
+    .offset(0, 0, 1, names.length + 1)
+    .setFontWeight("bold")
+    .offset(rows.length - 1, 0, 1, names.length + 1)
+    .setFontWeight("bold");
+  sheet.setFrozenRows(2);
+}
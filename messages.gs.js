@@ -0,0 +1,318 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The catalog of the texts players see on the table and in the new table
+ * prompts, by language. Messages could have {placeholders} which are filled
+ * in by getMessage. Messages missing from a language fall back to English.
+ *
+ * The language is picked in the settings. Unlike the other options it's always
+ * read from the document settings and not from the game, so a change applies
+ * right away (the table texts are updated as the game goes on). Reading it
+ * means reading the settings, so renderers resolve it once with getLanguage
+ * and pass it to getMessage.
+ */
+const FALLBACK_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: {
+    title: "English",
+    isRightToLeft: false,
+    messages: {
+      REVEAL: "Click DECK to reveal next card",
+      TURN: `Click the CARD to take it and add it to your table
+OR
+Click HERE to pay 1{token} to skip your turn`,
+      END_GAME: `Game Over!
+Click HERE to reveal the final score`,
+      DECK_FACE_TOP: "NO",
+      DECK_FACE_BOTTOM: "THANKS!",
+
+      SAME_PLAYERS_TITLE: "Same Players?",
+      SAME_PLAYERS_TEXT: `Do you want to use the same list of players as in the previous round?
+({players})`,
+      RANDOMIZE_ORDER_TITLE: "Randomize player order?",
+      RANDOMIZE_ORDER_TEXT: `Click "Yes" to randomize the play order
+
+Or "No" to use the current one:
+{players}`,
+      PLAYER_TITLE: "Player {number}",
+      ADD_PLAYER_TITLE: "Add Player {number}?",
+      PLAYER_TEXT: `Name (or "{botPrefix}<strategy>" for a computer player, strategies: {strategies}):`,
+      SEED_TITLE: "Seed",
+      SEED_TEXT: `Enter the seed of the table you want to recreate:
+
+Or select "No" for a random seed`,
+      START_PLAYER_TITLE: "Choose starting player?",
+      START_PLAYER_TEXT: `Pick who goes first by entering their number:
+{players}
+
+Or select "No" for a random pick`,
+      CARD_TAKEN_BY: "Taken by {player}",
+
+      PLAYER_COUNT_ERROR: "We only support between {min} to {max} players",
+      NO_HUMANS_ERROR: "At least one of the players needs to be human",
+      CARD_STILL_OUT_ERROR:
+        "The card '{card}' is still out, someone needs to take it first!",
+      EMPTY_DECK_ERROR: "No more cards in the deck!",
+      NO_CARD_TO_PASS_ERROR: "No card revealed yet!",
+      NO_CARD_TO_TAKE_ERROR: "No card revealed yet to take",
+      GAME_NOT_OVER_ERROR: "The game isn't over yet!",
+      NO_TOKENS_LEFT_ERROR: "{player} doesn't have any tokens left!",
+      NO_GAME_ERROR: "No game in progress, start a New Table first",
+      EMPTY_SEED_ERROR: "The seed can't be empty",
+      INVALID_START_PLAYER_ERROR: "Invalid start player value: {value}",
+      BOT_TURN_ERROR: "It's {player}'s turn, wait for it to play",
+      SEAT_ACCOUNT_ERROR:
+        "It's {player}'s turn, only {account} can play it ({user})",
+      SEAT_NOTIFICATIONS_ERROR:
+        "{player}'s seat is bound to {account}, only that account can change its notifications ({user})",
+      HISTORY_SEAT_ERROR:
+        "{player}'s seat is bound to {account}, only that account can undo or redo its actions ({user})",
+      SIGNED_IN_AS: "you are {email}",
+      NOT_SIGNED_IN: "not signed in",
+
+      TIME_UP: "Time's up!",
+      SCORE_BREAKDOWN: "{cards} cards − {runs} runs − {tokens}{token}",
+      SEAT_BOUND_TO: "Bound to {account}",
+      NEW_TABLE_TITLE: "New table",
+      SEED_TOAST: "Seed: {seed}",
+      BOT_PLAYED_TITLE: "{marker} played",
+
+      UNDO_TITLE: "Undo?",
+      UNDO_TEXT: 'Undo the action "{action}" for all players?',
+      UNDONE_TITLE: "Undone",
+      NOTHING_TO_UNDO_ERROR: "There is nothing to undo!",
+      REDO_TITLE: "Redo?",
+      REDO_TEXT: 'Redo the action "{action}" for all players?',
+      REDONE_TITLE: "Redone",
+      NOTHING_TO_REDO_ERROR: "There is nothing to redo!",
+      ACTION_REVEAL: "Revealed the card {card}",
+      ACTION_PASS: "{player} passed on {card}",
+      ACTION_TAKE: "{player} took {card}",
+      ACTION_TAKE_POOL: "{player} took {card} with {pool}{token}",
+      ACTION_FINAL_SCORE: "Revealed the final score",
+      ACTION_WITH_BOTS: "{action} (and {count} bot actions after it)",
+
+      WEB_APP_DECK: "Deck",
+      WEB_APP_CARD: "Card",
+      WEB_APP_REVEAL: "Reveal",
+      WEB_APP_TAKE: "Take it",
+      WEB_APP_PASS: "No thanks!",
+      WEB_APP_FINAL_SCORE: "Final score",
+      WEB_APP_MY_SEAT: "{player} (you)",
+    },
+  },
+
+  he: {
+    title: "עברית",
+    isRightToLeft: true,
+    messages: {
+      REVEAL: "לחצו על החפיסה כדי לחשוף את הקלף הבא",
+      TURN: `לחצו על הקלף כדי לקחת אותו אליכם
+או
+לחצו כאן כדי לשלם 1{token} ולוותר על התור`,
+      END_GAME: `המשחק נגמר!
+לחצו כאן כדי לחשוף את התוצאות`,
+      DECK_FACE_TOP: "לא",
+      DECK_FACE_BOTTOM: "תודה!",
+
+      SAME_PLAYERS_TITLE: "אותם שחקנים?",
+      SAME_PLAYERS_TEXT: `להשתמש באותה רשימת שחקנים כמו בסיבוב הקודם?
+({players})`,
+      RANDOMIZE_ORDER_TITLE: "לערבב את סדר השחקנים?",
+      RANDOMIZE_ORDER_TEXT: `לערבב את סדר המשחק? אחרת יישאר הסדר הנוכחי:
+{players}`,
+      PLAYER_TITLE: "שחקן {number}",
+      ADD_PLAYER_TITLE: "להוסיף שחקן {number}?",
+      PLAYER_TEXT: `שם (או "{botPrefix}<strategy>" לשחקן ממוחשב, אסטרטגיות: {strategies}):`,
+      SEED_TITLE: "גרעין",
+      SEED_TEXT: `הזינו את הגרעין של השולחן שרוצים לשחזר, אחרת יוגרל גרעין חדש:`,
+      START_PLAYER_TITLE: "לבחור מי מתחיל?",
+      START_PLAYER_TEXT: `הזינו את המספר של מי שמתחיל, אחרת ההתחלה תוגרל:
+{players}`,
+      CARD_TAKEN_BY: "נלקח על ידי {player}",
+
+      PLAYER_COUNT_ERROR: "אפשר לשחק רק עם {min} עד {max} שחקנים",
+      NO_HUMANS_ERROR: "לפחות אחד השחקנים צריך להיות אנושי",
+      CARD_STILL_OUT_ERROR:
+        "הקלף {card} עדיין בחוץ, מישהו צריך לקחת אותו קודם!",
+      EMPTY_DECK_ERROR: "לא נשארו קלפים בחפיסה!",
+      NO_CARD_TO_PASS_ERROR: "עוד לא נחשף קלף!",
+      NO_CARD_TO_TAKE_ERROR: "עוד לא נחשף קלף שאפשר לקחת",
+      GAME_NOT_OVER_ERROR: "המשחק עוד לא נגמר!",
+      NO_TOKENS_LEFT_ERROR: "{player}: לא נשארו אסימונים!",
+      NO_GAME_ERROR: "אין משחק פעיל, התחילו קודם שולחן חדש",
+      EMPTY_SEED_ERROR: "הגרעין לא יכול להיות ריק",
+      INVALID_START_PLAYER_ERROR: "מספר שחקן לא תקין: {value}",
+      BOT_TURN_ERROR: "התור של {player}, חכו שישחק",
+      SEAT_ACCOUNT_ERROR:
+        "התור של {player}, רק החשבון {account} יכול לשחק אותו ({user})",
+      SEAT_NOTIFICATIONS_ERROR:
+        "המושב של {player} משויך לחשבון {account}, רק החשבון הזה יכול לשנות את ההתראות שלו ({user})",
+      HISTORY_SEAT_ERROR:
+        "המושב של {player} משויך לחשבון {account}, רק החשבון הזה יכול לבטל או לבצע שוב את הפעולות שלו ({user})",
+      SIGNED_IN_AS: "אתם מחוברים בתור {email}",
+      NOT_SIGNED_IN: "אתם לא מחוברים",
+
+      TIME_UP: "נגמר הזמן!",
+      SCORE_BREAKDOWN: "{cards} קלפים − {runs} רצפים − {tokens}{token}",
+      SEAT_BOUND_TO: "משויך לחשבון {account}",
+      NEW_TABLE_TITLE: "שולחן חדש",
+      SEED_TOAST: "גרעין: {seed}",
+      BOT_PLAYED_TITLE: "מהלך של {marker}",
+
+      UNDO_TITLE: "לבטל?",
+      UNDO_TEXT: 'לבטל את הפעולה "{action}" לכל השחקנים?',
+      UNDONE_TITLE: "בוטל",
+      NOTHING_TO_UNDO_ERROR: "אין מה לבטל!",
+      REDO_TITLE: "לבצע שוב?",
+      REDO_TEXT: 'לבצע שוב את הפעולה "{action}" לכל השחקנים?',
+      REDONE_TITLE: "בוצע שוב",
+      NOTHING_TO_REDO_ERROR: "אין מה לבצע שוב!",
+      ACTION_REVEAL: "נחשף הקלף {card}",
+      ACTION_PASS: "{player}: לא תודה על {card}",
+      ACTION_TAKE: "{player}: לקיחת {card}",
+      ACTION_TAKE_POOL: "{player}: לקיחת {card} עם {pool}{token}",
+      ACTION_FINAL_SCORE: "נחשפו התוצאות",
+      ACTION_WITH_BOTS:
+        "{action} (ועוד {count} פעולות של שחקנים ממוחשבים אחריה)",
+
+      WEB_APP_DECK: "חפיסה",
+      WEB_APP_CARD: "קלף",
+      WEB_APP_REVEAL: "חשיפה",
+      WEB_APP_TAKE: "לקחת",
+      WEB_APP_PASS: "לא תודה!",
+      WEB_APP_FINAL_SCORE: "תוצאות",
+      WEB_APP_MY_SEAT: "{player} (אתם)",
+    },
+  },
+
+  es: {
+    title: "Español",
+    isRightToLeft: false,
+    messages: {
+      REVEAL: "Haz clic en el MAZO para revelar la siguiente carta",
+      TURN: `Haz clic en la CARTA para tomarla y añadirla a tu mesa
+O
+Haz clic AQUÍ para pagar 1{token} y pasar tu turno`,
+      END_GAME: `¡Fin del juego!
+Haz clic AQUÍ para revelar la puntuación final`,
+      DECK_FACE_TOP: "NO",
+      DECK_FACE_BOTTOM: "¡GRACIAS!",
+
+      SAME_PLAYERS_TITLE: "¿Los mismos jugadores?",
+      SAME_PLAYERS_TEXT: `¿Quieres usar la misma lista de jugadores que en la ronda anterior?
+({players})`,
+      RANDOMIZE_ORDER_TITLE: "¿Orden de jugadores al azar?",
+      RANDOMIZE_ORDER_TEXT: `¿Sortear el orden de juego? Si no, se mantiene el orden actual:
+{players}`,
+      PLAYER_TITLE: "Jugador {number}",
+      ADD_PLAYER_TITLE: "¿Añadir jugador {number}?",
+      PLAYER_TEXT: `Nombre (o "{botPrefix}<estrategia>" para un jugador de la computadora, estrategias: {strategies}):`,
+      SEED_TITLE: "Semilla",
+      SEED_TEXT: `Escribe la semilla de la mesa que quieres recrear, si no, se usará una semilla al azar:`,
+      START_PLAYER_TITLE: "¿Elegir quién empieza?",
+      START_PLAYER_TEXT: `Escribe el número de quien empieza, si no, se sorteará:
+{players}`,
+      CARD_TAKEN_BY: "Tomada por {player}",
+
+      PLAYER_COUNT_ERROR: "Solo se admiten entre {min} y {max} jugadores",
+      NO_HUMANS_ERROR: "Al menos uno de los jugadores tiene que ser humano",
+      CARD_STILL_OUT_ERROR:
+        "La carta {card} sigue en la mesa, ¡alguien tiene que tomarla primero!",
+      EMPTY_DECK_ERROR: "¡No quedan cartas en el mazo!",
+      NO_CARD_TO_PASS_ERROR: "¡Todavía no se reveló ninguna carta!",
+      NO_CARD_TO_TAKE_ERROR: "Todavía no se reveló ninguna carta para tomar",
+      GAME_NOT_OVER_ERROR: "¡El juego todavía no terminó!",
+      NO_TOKENS_LEFT_ERROR: "¡A {player} no le quedan fichas!",
+      NO_GAME_ERROR:
+        "No hay ningún juego en curso, primero empieza una mesa nueva",
+      EMPTY_SEED_ERROR: "La semilla no puede estar vacía",
+      INVALID_START_PLAYER_ERROR: "Número de jugador no válido: {value}",
+      BOT_TURN_ERROR: "Es el turno de {player}, espera a que juegue",
+      SEAT_ACCOUNT_ERROR:
+        "Es el turno de {player}, solo {account} puede jugarlo ({user})",
+      SEAT_NOTIFICATIONS_ERROR:
+        "El asiento de {player} está asignado a {account}, solo esa cuenta puede cambiar sus notificaciones ({user})",
+      HISTORY_SEAT_ERROR:
+        "El asiento de {player} está asignado a {account}, solo esa cuenta puede deshacer o rehacer sus acciones ({user})",
+      SIGNED_IN_AS: "tú eres {email}",
+      NOT_SIGNED_IN: "no has iniciado sesión",
+
+      TIME_UP: "¡Se acabó el tiempo!",
+      SCORE_BREAKDOWN: "{cards} cartas − {runs} escaleras − {tokens}{token}",
+      SEAT_BOUND_TO: "Asignado a {account}",
+      NEW_TABLE_TITLE: "Mesa nueva",
+      SEED_TOAST: "Semilla: {seed}",
+      BOT_PLAYED_TITLE: "{marker} jugó",
+
+      UNDO_TITLE: "¿Deshacer?",
+      UNDO_TEXT: '¿Deshacer la acción "{action}" para todos los jugadores?',
+      UNDONE_TITLE: "Deshecho",
+      NOTHING_TO_UNDO_ERROR: "¡No hay nada que deshacer!",
+      REDO_TITLE: "¿Rehacer?",
+      REDO_TEXT: '¿Rehacer la acción "{action}" para todos los jugadores?',
+      REDONE_TITLE: "Rehecho",
+      NOTHING_TO_REDO_ERROR: "¡No hay nada que rehacer!",
+      ACTION_REVEAL: "Se reveló la carta {card}",
+      ACTION_PASS: "{player} pasó con la {card}",
+      ACTION_TAKE: "{player} tomó la {card}",
+      ACTION_TAKE_POOL: "{player} tomó la {card} con {pool}{token}",
+      ACTION_FINAL_SCORE: "Se reveló la puntuación final",
+      ACTION_WITH_BOTS:
+        "{action} (y {count} acciones de la computadora después)",
+
+      WEB_APP_DECK: "Mazo",
+      WEB_APP_CARD: "Carta",
+      WEB_APP_REVEAL: "Revelar",
+      WEB_APP_TAKE: "Tomarla",
+      WEB_APP_PASS: "¡No, gracias!",
+      WEB_APP_FINAL_SCORE: "Puntuación final",
+      WEB_APP_MY_SEAT: "{player} (tú)",
+    },
+  },
+};
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * The message in the language (the document's by default), with its
+ * placeholders replaced by the given values ({token} is always the token
+ * icon).
+ */
+function getMessage(key, values = {}, language = getLanguage()) {
+  const fallbackMessages = LANGUAGES[FALLBACK_LANGUAGE].messages;
+  if (!hasOwnKey(fallbackMessages, key)) {
+    throw new Error(`Unknown message ${key}`);
+  }
+
+  const message = hasOwnKey(language.messages, key)
+    ? language.messages[key]
+    : fallbackMessages[key];
+
+  return message.replace(/{(\w+)}/g, (placeholder, name) =>
+    name === "token"
+      ? TOKEN_REPR
+      : hasOwnKey(values, name)
+      ? `${values[name]}`
+      : placeholder,
+  );
+}
+
+function getLanguage() {
+  const language = getOptions().LANGUAGE;
+  return LANGUAGES[
+    hasOwnKey(LANGUAGES, language) ? language : FALLBACK_LANGUAGE
+  ];
+}
+
+/**
+ * Texts on the table are written in the direction of the language, the table
+ * layout itself isn't mirrored so that the hotspots stay where they are.
+ */
+function getTextDirection(language = getLanguage()) {
+  return language.isRightToLeft
+    ? SpreadsheetApp.TextDirection.RIGHT_TO_LEFT
+    : SpreadsheetApp.TextDirection.LEFT_TO_RIGHT;
+}
@@ -0,0 +1,355 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * For asynchronous games each player could register an email address or a
+ * chat webhook URL, and they get a message whenever the turn passes to them.
+ * Addresses are kept by the player's name, like the seat accounts (see
+ * seats.gs.js), so they carry over to the next table.
+ */
+const NOTIFICATION_ADDRESSES_PROPERTY_NAME = "notificationAddresses";
+const NOTIFICATIONS_SENT_PROPERTY_NAME = "notificationsSent";
+
+// A player isn't notified again within this long of their last message, so
+// that quick games don't spam them.
+const NOTIFICATION_MIN_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * The messages are sent through a notifier, which could be replaced with a
+ * fake (see newFakeNotifier) to test offline.
+ */
+const DEFAULT_NOTIFIER = {
+  sendEmail: (address, subject, body) =>
+    MailApp.sendEmail(address, subject, body),
+
+  // Google Chat and Slack incoming webhooks both accept this payload
+  postToWebhook: (url, text) =>
+    UrlFetchApp.fetch(url, {
+      method: "post",
+      contentType: "application/json",
+      payload: JSON.stringify({ text }),
+    }),
+};
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function registerForNotifications() {
+  const game = getGameInProgress();
+
+  const ui = SpreadsheetApp.getUi();
+  const seatResponse = ui.prompt(
+    "Notify me on my turn",
+    `Enter the number of your seat:
+${describeNumberedPlayers(game.players)}`,
+    ui.ButtonSet.OK_CANCEL,
+  );
+  if (seatResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const player = parseInt(seatResponse.getResponseText(), 10) - 1;
+  if (!(player >= 0 && player < game.players.length)) {
+    throw new Error(`Invalid seat number: ${seatResponse.getResponseText()}`);
+  }
+
+  const name = game.players[player];
+  // Otherwise anyone could redirect a bound player's notifications
+  assertSeatAccount(name, "SEAT_NOTIFICATIONS_ERROR");
+
+  const addresses = getNotificationAddresses();
+  const addressResponse = ui.prompt(
+    `Notify ${name}`,
+    `Enter an email address or a chat webhook URL (https://...):${
+      addresses[name] != null ? `\n\nCurrently: ${addresses[name]}` : ""
+    }
+
+Leave it empty to stop the notifications`,
+    ui.ButtonSet.OK_CANCEL,
+  );
+  if (addressResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const address = addressResponse.getResponseText().trim();
+  if (address === "") {
+    delete addresses[name];
+  } else if (isWebhookAddress(address) || /^[^\s@]+@[^\s@]+$/.test(address)) {
+    addresses[name] = address;
+  } else {
+    throw new Error(
+      `'${address}' isn't an email address or an https:// webhook URL`,
+    );
+  }
+
+  setNotificationAddresses(addresses);
+}
+
+/**
+ * Checks the notification rules offline, with a fake notifier and sent store.
+ * Run it from the script editor, it throws listing the checks that failed.
+ */
+function checkNotifications() {
+  const newEnvironment = (overrides = {}) => ({
+    notifier: newFakeNotifier(),
+    addresses: {
+      Bob: "bob@example.com",
+      Carol: "https://chat.example.com/hook",
+    },
+    seatAccounts: {},
+    activeUserEmail: "",
+    sentStore: newMemorySentStore(),
+    spreadsheetUrl: "https://example.com/table",
+    logFailure: () => {},
+    ...overrides,
+  });
+  const notified = (game, previousGame, environment) => {
+    notifyTurnChange(game, previousGame, environment);
+    return environment.notifier.messages.map(({ address }) => address);
+  };
+  const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const newGame = dealGame(
+    ["Alice", "Bob", "Carol"].map((name) => ({ name, bot: null })),
+    DEFAULT_OPTIONS,
+    "notifications",
+    0,
+  );
+  const alicesTurn = GAME_ACTIONS.reveal(newGame);
+  const bobsTurn = GAME_ACTIONS.pass(alicesTurn);
+  const carolsTurn = GAME_ACTIONS.pass(bobsTurn);
+
+  const checks = {
+    "The new active player is emailed": () =>
+      isSame(notified(bobsTurn, alicesTurn, newEnvironment()), [
+        "bob@example.com",
+      ]),
+
+    "Webhook addresses are posted to": () =>
+      isSame(notified(carolsTurn, bobsTurn, newEnvironment()), [
+        "https://chat.example.com/hook",
+      ]),
+
+    "Nobody is notified when the turn stays with the same player": () =>
+      isSame(notified(alicesTurn, newGame, newEnvironment()), []),
+
+    "Players without an address aren't notified": () =>
+      isSame(
+        notified(bobsTurn, alicesTurn, newEnvironment({ addresses: {} })),
+        [],
+      ),
+
+    "The account playing right now isn't notified": () =>
+      isSame(
+        notified(
+          bobsTurn,
+          alicesTurn,
+          newEnvironment({
+            seatAccounts: { Bob: "bob@example.com" },
+            activeUserEmail: "bob@example.com",
+          }),
+        ),
+        [],
+      ),
+
+    "Players aren't notified again within the interval": () =>
+      isSame(
+        notified(
+          bobsTurn,
+          alicesTurn,
+          newEnvironment({
+            sentStore: newMemorySentStore({ Bob: Date.now() - 1000 }),
+          }),
+        ),
+        [],
+      ),
+
+    "Players are notified again after the interval": () =>
+      isSame(
+        notified(
+          bobsTurn,
+          alicesTurn,
+          newEnvironment({
+            sentStore: newMemorySentStore({
+              Bob: Date.now() - NOTIFICATION_MIN_INTERVAL_MS,
+            }),
+          }),
+        ),
+        ["bob@example.com"],
+      ),
+
+    "Failures are logged and recorded as sent": () => {
+      const failures = [];
+      const environment = newEnvironment({
+        notifier: {
+          ...newFakeNotifier(),
+          sendEmail: () => {
+            throw new Error("Service unavailable");
+          },
+        },
+        logFailure: (game, err) => failures.push(err.message),
+      });
+      notifyTurnChange(bobsTurn, alicesTurn, environment);
+      return (
+        isSame(failures, ["Service unavailable"]) &&
+        environment.sentStore.get().Bob != null
+      );
+    },
+  };
+
+  const failed = Object.keys(checks).filter(
+    (description) => !checks[description](),
+  );
+  if (failed.length > 0) {
+    throw new Error(`Notification checks failed:\n${failed.join("\n")}`);
+  }
+
+  console.log(`All ${Object.keys(checks).length} notification checks passed`);
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Notifies the active player when the turn just passed to them.
+ *
+ * @param previousGame the game before the change, or null for a new game.
+ * @param environment everything read from or written to the document and the
+ * services, see getNotificationEnvironment.
+ */
+function notifyTurnChange(
+  game,
+  previousGame,
+  environment = getNotificationEnvironment(),
+) {
+  const {
+    notifier,
+    addresses,
+    seatAccounts,
+    activeUserEmail,
+    sentStore,
+    spreadsheetUrl,
+    logFailure,
+  } = environment;
+
+  if (
+    (game.phase !== PHASE.REVEAL && game.phase !== PHASE.TURN) ||
+    (previousGame != null && previousGame.activePlayer === game.activePlayer) ||
+    isBotTurn(game)
+  ) {
+    return;
+  }
+
+  const name = game.players[game.activePlayer];
+  const address = addresses[name];
+  if (address == null) {
+    return;
+  }
+
+  const account = seatAccounts[name];
+  if (account != null && account === activeUserEmail) {
+    // They are the one playing right now
+    return;
+  }
+
+  const sent = sentStore.get();
+  const now = Date.now();
+  if (sent[name] != null && now - sent[name] < NOTIFICATION_MIN_INTERVAL_MS) {
+    return;
+  }
+
+  try {
+    const message = describeTurn(game, spreadsheetUrl);
+    if (isWebhookAddress(address)) {
+      notifier.postToWebhook(address, message);
+    } else {
+      notifier.sendEmail(address, "No Thanks: it's your turn", message);
+    }
+  } catch (err) {
+    // A failing notification shouldn't fail the game. It's still recorded as
+    // sent, so that a broken address is only retried after the interval.
+    logFailure(game, err);
+  }
+
+  sentStore.set({ ...sent, [name]: now });
+}
+
+function getNotificationEnvironment() {
+  return {
+    notifier: DEFAULT_NOTIFIER,
+    addresses: getNotificationAddresses(),
+    seatAccounts: getSeatAccounts(),
+    activeUserEmail: Session.getActiveUser().getEmail(),
+    sentStore: { get: getNotificationsSent, set: setNotificationsSent },
+    spreadsheetUrl: SpreadsheetApp.getActive().getUrl(),
+    logFailure: logNotificationFailed,
+  };
+}
+
+/**
+ * A notifier that keeps the messages instead of sending them, together with
+ * an in-memory sent store it makes an environment for notifyTurnChange which
+ * doesn't touch the document or the services (see checkNotifications).
+ */
+function newFakeNotifier() {
+  const messages = [];
+  return {
+    messages,
+    sendEmail: (address, subject, body) =>
+      messages.push({ address, subject, body }),
+    postToWebhook: (url, text) => messages.push({ address: url, body: text }),
+  };
+}
+
+function newMemorySentStore(sent = {}) {
+  let current = sent;
+  return {
+    get: () => current,
+    set: (next) => {
+      current = next;
+    },
+  };
+}
+
+function describeTurn(game, spreadsheetUrl) {
+  const name = game.players[game.activePlayer];
+  const situation =
+    game.currentCard != null
+      ? `The card is ${game.currentCard} with ${game.pool}${TOKEN_REPR} on it.`
+      : `Reveal the next card, ${game.deck.length} cards are left in the deck.`;
+  return `${name}, it's your turn!
+${situation}
+${spreadsheetUrl}`;
+}
+
+function isWebhookAddress(address) {
+  return address.startsWith("https://");
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+/**
+ * A map from player name to their email address or webhook URL.
+ */
+function getNotificationAddresses() {
+  return getJsonProperty(NOTIFICATION_ADDRESSES_PROPERTY_NAME, {});
+}
+
+function setNotificationAddresses(addresses) {
+  PropertiesService.getDocumentProperties().setProperty(
+    NOTIFICATION_ADDRESSES_PROPERTY_NAME,
+    JSON.stringify(addresses),
+  );
+}
+
+/**
+ * A map from player name to when they were last notified.
+ */
+function getNotificationsSent() {
+  return getJsonProperty(NOTIFICATIONS_SENT_PROPERTY_NAME, {});
+}
+
+function setNotificationsSent(sent) {
+  PropertiesService.getDocumentProperties().setProperty(
+    NOTIFICATIONS_SENT_PROPERTY_NAME,
+    JSON.stringify(sent),
+  );
+}
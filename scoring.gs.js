@@ -0,0 +1,164 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * A scoring rule decides how a player's cards and tokens add up to their final
+ * score (lower is better), and how players with the same score are ranked.
+ * The rule is picked in the settings and kept in the game options.
+ */
+const SCORING_RULES = {
+  standard: {
+    title: "Standard",
+    // Each run of consecutive cards only scores its lowest card
+    runScore: (run) => run[0],
+    tokenValue: 1,
+    tieBreakers: ["fewestCards", "mostTokens"],
+  },
+
+  highestCard: {
+    title: "Runs score their highest card",
+    runScore: (run) => run[run.length - 1],
+    tokenValue: 1,
+    tieBreakers: ["fewestCards", "mostTokens"],
+  },
+
+  doubleTokens: {
+    title: "Tokens worth 2",
+    runScore: (run) => run[0],
+    tokenValue: 2,
+    tieBreakers: ["mostTokens", "fewestCards"],
+  },
+};
+
+/**
+ * Each tie-breaker compares two players, a negative result means the first
+ * player ranks higher.
+ */
+const TIE_BREAKERS = {
+  fewestCards: {
+    title: "fewest cards",
+    compare: (game, a, b) => game.hands[a].length - game.hands[b].length,
+  },
+
+  mostTokens: {
+    title: "most tokens",
+    compare: (game, a, b) => game.tokens[b] - game.tokens[a],
+  },
+};
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function getScoringRule(options) {
+  return SCORING_RULES[options.SCORING];
+}
+
+/**
+ * The parts that make up the final score of the player: the face value of all
+ * their cards, what they saved by holding runs, and what their tokens are
+ * worth.
+ */
+function scoreBreakdown(game, player) {
+  const hand = game.hands[player];
+  const cardPoints = hand.reduce((sum, card) => sum + card, 0);
+  const runSavings = cardPoints - scoreCards(hand, game.options);
+  const tokenCredit =
+    game.tokens[player] * getScoringRule(game.options).tokenValue;
+  return {
+    cardPoints,
+    runSavings,
+    tokenCredit,
+    score: cardPoints - runSavings - tokenCredit,
+  };
+}
+
+function scoreCards(cards, options) {
+  const { runScore } = getScoringRule(options);
+  let score = 0;
+  for (const run of groupConsecutiveRuns(cards)) {
+    score += runScore(run);
+  }
+  return score;
+}
+
+/**
+ * How much would taking the card add to the score of a player holding the
+ * hand, not counting the tokens that come with it.
+ */
+function cardCost(hand, card, options) {
+  return scoreCards(hand.concat([card]), options) - scoreCards(hand, options);
+}
+
+/**
+ * The 0-based rank of each player by their final score, lower scores are
+ * better. Equal scores are ordered by the tie-breakers of the scoring rule,
+ * players that are still tied share the same rank.
+ */
+function rankPlayers(game) {
+  const compare = comparePlayers(game);
+  return game.players.map(
+    (_, player) =>
+      game.players.filter((_, other) => compare(other, player) < 0).length,
+  );
+}
+
+/**
+ * The tie-breakers that were needed to rank the players, in the order they
+ * were applied.
+ */
+function getUsedTieBreakers(game) {
+  const used = [];
+  const { tieBreakers } = getScoringRule(game.options);
+  for (const [a, b] of playerPairs(game)) {
+    if (game.scores[a] !== game.scores[b]) {
+      continue;
+    }
+
+    const decisive = tieBreakers.find(
+      (tieBreaker) => TIE_BREAKERS[tieBreaker].compare(game, a, b) !== 0,
+    );
+    if (decisive != null && !used.includes(decisive)) {
+      used.push(decisive);
+    }
+  }
+
+  return tieBreakers.filter((tieBreaker) => used.includes(tieBreaker));
+}
+
+function comparePlayers(game) {
+  const { tieBreakers } = getScoringRule(game.options);
+  return (a, b) => {
+    if (game.scores[a] !== game.scores[b]) {
+      return game.scores[a] - game.scores[b];
+    }
+
+    for (const tieBreaker of tieBreakers) {
+      const result = TIE_BREAKERS[tieBreaker].compare(game, a, b);
+      if (result !== 0) {
+        return result;
+      }
+    }
+
+    return 0;
+  };
+}
+
+function* playerPairs(game) {
+  for (const a of xrange(game.players.length)) {
+    for (const b of xrange(a + 1, game.players.length)) {
+      yield [a, b];
+    }
+  }
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function describeScoreBreakdown(
+  { cardPoints, runSavings, tokenCredit },
+  language = getLanguage(),
+) {
+  return getMessage(
+    "SCORE_BREAKDOWN",
+    { cards: cardPoints, runs: runSavings, tokens: tokenCredit },
+    language,
+  );
+}
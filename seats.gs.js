@@ -0,0 +1,195 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * For remote games a seat could be bound to the account of the person playing
+ * it, and then only that account could play on the seat's turn. Seats are
+ * bound by the player's name so the binding carries over to the next table
+ * when playing with the same players. Unbound seats could be played by anyone.
+ */
+const SEAT_ACCOUNTS_PROPERTY_NAME = "seatAccounts";
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function bindSeat() {
+  const game = getGameInProgress();
+
+  const email = getActiveUserEmail();
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    "Bind my account to a seat",
+    `Enter the number of your seat to bind it to ${email}, only you would be able to play on its turns:
+${describeNumberedPlayers(game.players)}
+
+Or select "No" to unbind your account from all seats`,
+    ui.ButtonSet.YES_NO,
+  );
+
+  const accounts = getSeatAccounts();
+  if (response.getSelectedButton() === ui.Button.YES) {
+    const player = parseInt(response.getResponseText(), 10) - 1;
+    if (!(player >= 0 && player < game.players.length)) {
+      throw new Error(`Invalid seat number: ${response.getResponseText()}`);
+    }
+
+    if (game.bots != null && game.bots[player] != null) {
+      throw new Error(`${game.players[player]} is a bot!`);
+    }
+
+    const name = game.players[player];
+    if (accounts[name] != null && accounts[name] !== email) {
+      throw new Error(
+        `${name}'s seat is already bound to ${accounts[name]}, they need to unbind it first`,
+      );
+    }
+
+    accounts[name] = email;
+  } else if (response.getSelectedButton() === ui.Button.NO) {
+    for (const name of Object.keys(accounts)) {
+      if (accounts[name] === email) {
+        delete accounts[name];
+      }
+    }
+  } else {
+    return;
+  }
+
+  setSeatAccounts(accounts);
+
+  const sheet = SpreadsheetApp.getActive().getSheetByName(TABLE_SHEET_NAME);
+  if (sheet != null) {
+    renderSeatAccounts(sheet, game);
+  }
+}
+
+function showMyTokens() {
+  SpreadsheetApp.getUi().showSidebar(
+    HtmlService.createHtmlOutputFromFile("tokens").setTitle("My tokens"),
+  );
+}
+
+/**
+ * Called from the "My tokens" sidebar. Returns the token counts of the seats
+ * bound to the user, and the unbound seats they could ask about instead (for
+ * hot-seat games).
+ */
+function getMyTokens() {
+  const game = getGame();
+  if (game == null) {
+    return { seats: [], unboundSeats: [] };
+  }
+
+  const accounts = getSeatAccounts();
+  const email = Session.getActiveUser().getEmail();
+  const seats = [];
+  const unboundSeats = [];
+  game.players.forEach((name, player) => {
+    if (game.bots != null && game.bots[player] != null) {
+      return;
+    }
+
+    if (accounts[name] == null) {
+      unboundSeats.push({ player, name });
+    } else if (email !== "" && accounts[name] === email) {
+      seats.push({ player, name, tokens: game.tokens[player] });
+    }
+  });
+
+  return { seats, unboundSeats };
+}
+
+/**
+ * Called from the "My tokens" sidebar for hot-seat players.
+ */
+function getSeatTokens(player) {
+  const game = getGameInProgress();
+
+  const name = game.players[player];
+  const account = getSeatAccounts()[name];
+  if (account != null && account !== Session.getActiveUser().getEmail()) {
+    throw new Error(`${name}'s seat is bound to another account`);
+  }
+
+  return game.tokens[player];
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Throws when the seat whose turn it is is bound to an account other than the
+ * one running the script.
+ */
+function assertActiveSeatAccount() {
+  const game = getGame();
+  if (game == null) {
+    return;
+  }
+
+  assertSeatAccount(game.players[game.activePlayer], "SEAT_ACCOUNT_ERROR");
+}
+
+/**
+ * Throws the error message when the seat is bound to an account other than
+ * the one running the script.
+ */
+function assertSeatAccount(name, errorMessage) {
+  const account = getSeatAccounts()[name];
+  if (account == null) {
+    // Unbound seats are hot-seat, anyone can act for them
+    return;
+  }
+
+  const email = Session.getActiveUser().getEmail();
+  if (email !== account) {
+    throw new Error(
+      getMessage(errorMessage, {
+        player: name,
+        account,
+        user:
+          email !== ""
+            ? getMessage("SIGNED_IN_AS", { email })
+            : getMessage("NOT_SIGNED_IN"),
+      }),
+    );
+  }
+}
+
+function getActiveUserEmail() {
+  const email = Session.getActiveUser().getEmail();
+  if (email == null || email === "") {
+    throw new Error("We couldn't identify your account, are you signed in?");
+  }
+  return email;
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+/**
+ * A map from player name to the email of the account bound to their seat.
+ */
+function getSeatAccounts() {
+  return getJsonProperty(SEAT_ACCOUNTS_PROPERTY_NAME, {});
+}
+
+function setSeatAccounts(accounts) {
+  PropertiesService.getDocumentProperties().setProperty(
+    SEAT_ACCOUNTS_PROPERTY_NAME,
+    JSON.stringify(accounts),
+  );
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function renderSeatAccounts(sheet, game) {
+  const accounts = getSeatAccounts();
+  const language = getLanguage();
+  getLocationAnchor(sheet, "PLAYER1", game.options)
+    .offset(0, 0, game.players.length, 1)
+    .setNotes(
+      game.players.map((name) => [
+        accounts[name] != null
+          ? getMessage("SEAT_BOUND_TO", { account: accounts[name] }, language)
+          : "",
+      ]),
+    );
+}
@@ -0,0 +1,281 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The options shown on the Settings page. The key is the path of the option
+ * inside DEFAULT_OPTIONS, and the type of the input is inferred from the type
+ * of the default value there. Number fields also define their allowed range.
+ */
+const SETTINGS_FIELDS = [
+  {
+    key: "SETUP.REMOVE_TENS",
+    title: "Remove the X0 cards",
+    description: "Remove the 10, 20 and 30 out of the initial cards removed",
+  },
+  {
+    key: "SETUP.SHUFFLE_PLAYERS",
+    title: "Shuffle players",
+    description: "Shuffle the player order when creating a new table",
+    choices: ["yes", "no", "ask"],
+  },
+  {
+    key: "SETUP.PICK_START_PLAYER",
+    title: "Pick start player",
+    description: "Ask who goes first instead of picking a random player",
+  },
+  {
+    key: "SETUP.ASK_SEED",
+    title: "Ask for a seed",
+    description:
+      "Ask for the seed of a previous table to recreate it, instead of a random one",
+  },
+  {
+    key: "DECK.MIN_CARD",
+    title: "Lowest card",
+    description: "The lowest card in the deck",
+    min: 1,
+    max: 99,
+  },
+  {
+    key: "DECK.MAX_CARD",
+    title: "Highest card",
+    description: "The highest card in the deck",
+    min: 1,
+    max: 99,
+  },
+  {
+    key: "DECK.CARDS_REMOVED",
+    title: "Cards removed",
+    description:
+      "How many cards are removed at setup (doubled in a 2 player game)",
+    min: 0,
+    max: 98,
+  },
+  {
+    key: "SCORING",
+    title: "Scoring rule",
+    description:
+      "highestCard: runs score their highest card, doubleTokens: tokens are worth 2",
+    choices: ["standard", "highestCard", "doubleTokens"],
+  },
+  {
+    key: "AUTO_REVEAL_NEXT_CARD",
+    title: "Auto-reveal next card",
+    description: "Reveal the next card right after a card is taken",
+  },
+  {
+    key: "HIDDEN_TOKENS",
+    title: "Hidden tokens",
+    description: "Keep the players' token counts hidden until the game ends",
+  },
+  {
+    key: "TURN_TIMER.MINUTES",
+    title: "Turn time limit",
+    description: "Minutes for each turn, 0 for no limit",
+    min: 0,
+    max: 60,
+  },
+  {
+    key: "TURN_TIMER.AUTO_PASS",
+    title: "Auto-pass on time out",
+    description:
+      "Pass for a player who runs out of time (or take the card if they have no tokens)",
+  },
+  {
+    key: "CARD_TRACKER",
+    title: "Card tracker",
+    description:
+      "Show which cards were taken (and by whom), which is offered and which are unseen",
+  },
+  {
+    key: "LIVE_SCORE",
+    title: "Live score",
+    description:
+      "Show each player's current card score during play, and their net score when the tokens are exposed",
+  },
+  {
+    key: "THEME",
+    title: "Theme",
+    description:
+      "The colors of the table, could also be changed during a game with Re-theme current table",
+    choices: ["classic", "dark", "highContrast", "colorblind"],
+  },
+  {
+    key: "LAYOUT",
+    title: "Table layout",
+    description:
+      "wide: the players sit to the right of the piles, compact: below them (for narrow screens)",
+    choices: ["wide", "compact"],
+  },
+  {
+    key: "LANGUAGE",
+    title: "Language",
+    description:
+      "The language of the table and the new table prompts: en (English), he (Hebrew), es (Spanish)",
+    choices: ["en", "he", "es"],
+  },
+  {
+    key: "HINTS",
+    title: "Hints",
+    description:
+      "Let the active player ask for a take-or-pass hint (never in league games or match rounds)",
+  },
+  {
+    key: "LEAGUE",
+    title: "League game",
+    description: "Count the results of finished games in the League standings",
+  },
+];
+
+const SETTINGS_PROPERTY_NAME = "options";
+
+////// API HOOKS ///////////////////////////////////////////////////////////////
+
+function showSettings() {
+  const template = HtmlService.createTemplateFromFile("settings");
+  template.fields = getSettingsFields();
+  SpreadsheetApp.getUi().showSidebar(
+    template.evaluate().setTitle("No Thanks Settings"),
+  );
+}
+
+/**
+ * Called from the settings sidebar with a map from field key to the new
+ * value.
+ */
+function saveSettings(values) {
+  const stored = getStoredSettings();
+  for (const field of SETTINGS_FIELDS) {
+    if (field.key in values) {
+      stored[field.key] = validateSetting(field, values[field.key]);
+    }
+  }
+
+  validateOptions(applySettings(stored));
+
+  PropertiesService.getDocumentProperties().setProperty(
+    SETTINGS_PROPERTY_NAME,
+    JSON.stringify(stored),
+  );
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function getOptions() {
+  return applySettings(getStoredSettings());
+}
+
+function applySettings(stored) {
+  const options = JSON.parse(JSON.stringify(DEFAULT_OPTIONS));
+
+  for (const field of SETTINGS_FIELDS) {
+    if (!(field.key in stored)) {
+      continue;
+    }
+
+    try {
+      setOptionValue(
+        options,
+        field.key,
+        validateSetting(field, stored[field.key]),
+      );
+    } catch (err) {
+      // The stored value is stale (e.g. the allowed choices changed), we fall
+      // back to the default value instead of failing the game.
+    }
+  }
+
+  return options;
+}
+
+function getStoredSettings() {
+  return getJsonProperty(SETTINGS_PROPERTY_NAME, {});
+}
+
+function getSettingsFields() {
+  const options = getOptions();
+  return SETTINGS_FIELDS.map((field) => ({
+    key: field.key,
+    title: field.title,
+    description: field.description,
+    type: getSettingType(field),
+    choices: field.choices,
+    min: field.min,
+    max: field.max,
+    value: getOptionValue(options, field.key),
+  }));
+}
+
+function validateSetting(field, value) {
+  switch (getSettingType(field)) {
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw new Error(`Invalid value '${value}' for ${field.title}`);
+      }
+      return value;
+
+    case "choice":
+      if (!field.choices.includes(value)) {
+        throw new Error(
+          `Invalid value '${value}' for ${
+            field.title
+          }, expected one of: ${field.choices.join(", ")}`,
+        );
+      }
+      return value;
+
+    case "number":
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(
+          `Invalid value '${value}' for ${field.title}, expected a whole number between ${field.min} and ${field.max}`,
+        );
+      }
+      return value;
+  }
+
+  throw new Error(`Unsupported setting ${field.key}`);
+}
+
+/**
+ * Checks the rules that involve more than one setting.
+ */
+function validateOptions(options) {
+  const { MIN_CARD, MAX_CARD, CARDS_REMOVED } = options.DECK;
+  if (MIN_CARD >= MAX_CARD) {
+    throw new Error("The highest card should be higher than the lowest card");
+  }
+
+  if (CARDS_REMOVED >= MAX_CARD - MIN_CARD + 1) {
+    throw new Error(
+      `Can't remove ${CARDS_REMOVED} cards from a deck of ${
+        MAX_CARD - MIN_CARD + 1
+      } cards`,
+    );
+  }
+}
+
+function getSettingType(field) {
+  if (field.choices != null) {
+    return "choice";
+  }
+
+  const defaultValue = getOptionValue(DEFAULT_OPTIONS, field.key);
+  if (typeof defaultValue === "boolean") {
+    return "boolean";
+  }
+  if (typeof defaultValue === "number") {
+    return "number";
+  }
+
+  throw new Error(`Can't infer the type of setting ${field.key}`);
+}
+
+function getOptionValue(options, key) {
+  return key.split(".").reduce((section, name) => section[name], options);
+}
+
+function setOptionValue(options, key, value) {
+  const path = key.split(".");
+  const name = path.pop();
+  path.reduce((section, name) => section[name], options)[name] = value;
+}
@@ -0,0 +1,180 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * A headless simulation for checking how rule options and bot strategies (see
+ * bots.gs.js) affect the balance of the game. Full games are played between
+ * bots with the real game rules and transitions, without touching the
+ * spreadsheet, and only aggregate statistics are kept.
+ *
+ * Edit SIMULATION and SIMULATION_VARIANTS and run runSimulations from the
+ * script editor, the results are written to the execution log.
+ */
+const SIMULATION = {
+  // The bot strategy of each seat, this also sets the player count
+  STRATEGIES: ["runs", "threshold", "random"],
+
+  GAMES: 1000,
+
+  // Simulations with the same seed deal the same decks
+  SEED: "simulation",
+
+  // Move every strategy one seat over after each game, so that the seats' win
+  // rates aren't skewed by the strategies sitting in them
+  ROTATE_SEATS: true,
+};
+
+/**
+ * The rules each simulation is run with, by the name it's reported under.
+ * OPTIONS override the DEFAULT_OPTIONS, TOKENS overrides the number of tokens
+ * each player starts with (see tokensPerPlayer).
+ */
+const SIMULATION_VARIANTS = {
+  Standard: {},
+  "Without tens": { OPTIONS: { SETUP: { REMOVE_TENS: true } } },
+  "7 tokens": { TOKENS: 7 },
+};
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function runSimulations() {
+  for (const [name, variant] of Object.entries(SIMULATION_VARIANTS)) {
+    const stats = simulateGames({ ...SIMULATION, ...variant });
+    console.log(`${name}\n${describeSimulationStats(stats)}`);
+  }
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Plays the configured number of games between bots and aggregates their
+ * results. Seats are in turn order: the first seat always starts.
+ */
+function simulateGames({
+  STRATEGIES,
+  GAMES,
+  SEED,
+  ROTATE_SEATS,
+  OPTIONS = {},
+  TOKENS,
+}) {
+  const options = getSimulationOptions(OPTIONS);
+  const playerCount = STRATEGIES.length;
+  if (playerCount < MIN_PLAYER_COUNT || playerCount > MAX_PLAYER_COUNT) {
+    throw new Error(
+      `Can't simulate ${playerCount} players, expected between ${MIN_PLAYER_COUNT} and ${MAX_PLAYER_COUNT}`,
+    );
+  }
+  STRATEGIES.forEach((strategy) => {
+    if (!hasOwnKey(BOT_STRATEGIES, strategy)) {
+      throw new Error(`Unknown bot strategy '${strategy}'`);
+    }
+  });
+
+  const stats = {
+    games: GAMES,
+    seats: STRATEGIES.map((_, seat) => ({ seat, wins: 0, totalScore: 0 })),
+    strategies: Object.fromEntries(
+      STRATEGIES.map((strategy) => [
+        strategy,
+        { strategy, games: 0, wins: 0, totalScore: 0 },
+      ]),
+    ),
+    takes: 0,
+    passes: 0,
+    tokensTaken: 0,
+  };
+
+  for (let i = 0; i < GAMES; i++) {
+    const shift = ROTATE_SEATS ? i % playerCount : 0;
+    const seats = STRATEGIES.map((_, seat) => {
+      const bot = STRATEGIES[(seat + shift) % playerCount];
+      return { name: BOT_STRATEGIES[bot].title, bot };
+    });
+
+    const game = simulateGame(
+      dealGame(seats, options, `${SEED}:${i}`, 0, TOKENS),
+      stats,
+    );
+
+    // Players tied for the win split it, so the win rates add up to 1
+    const ranks = rankPlayers(game);
+    const winners = ranks.filter((rank) => rank === 0).length;
+    game.scores.forEach((score, seat) => {
+      const win = ranks[seat] === 0 ? 1 / winners : 0;
+      const seatStats = stats.seats[seat];
+      seatStats.wins += win;
+      seatStats.totalScore += score;
+
+      const strategyStats = stats.strategies[game.bots[seat]];
+      strategyStats.games++;
+      strategyStats.wins += win;
+      strategyStats.totalScore += score;
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Plays the game to its final score, counting the actions in the stats.
+ */
+function simulateGame(initialGame, stats) {
+  let game = initialGame;
+  while (game.phase !== PHASE.END_GAME) {
+    const action = decideBotAction(game);
+    if (action === "take") {
+      stats.takes++;
+      stats.tokensTaken += game.pool;
+    } else if (action === "pass") {
+      stats.passes++;
+    }
+    game = GAME_ACTIONS[action](game);
+  }
+
+  return GAME_ACTIONS.finalScore(game);
+}
+
+/**
+ * The simulated rules are the defaults with the given overrides, the nested
+ * option groups are overridden one option at a time.
+ */
+function getSimulationOptions(overrides) {
+  return {
+    ...DEFAULT_OPTIONS,
+    ...overrides,
+    SETUP: { ...DEFAULT_OPTIONS.SETUP, ...overrides.SETUP },
+    DECK: { ...DEFAULT_OPTIONS.DECK, ...overrides.DECK },
+  };
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function describeSimulationStats(stats) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const average = (total, count) => (count > 0 ? total / count : 0).toFixed(1);
+
+  return [
+    `Games: ${stats.games}`,
+    `Average game length: ${average(
+      stats.takes + stats.passes,
+      stats.games,
+    )} actions (${average(stats.passes, stats.games)} passes)`,
+    `Average pot taken: ${average(
+      stats.tokensTaken,
+      stats.takes,
+    )}${TOKEN_REPR}`,
+    ...stats.seats.map(
+      ({ seat, wins, totalScore }) =>
+        `Seat ${seat + 1}: win rate ${percent(
+          wins / stats.games,
+        )}, average score ${average(totalScore, stats.games)}`,
+    ),
+    ...Object.values(stats.strategies).map(
+      ({ strategy, games, wins, totalScore }) =>
+        `${BOT_STRATEGIES[strategy].title}: win rate ${percent(
+          games > 0 ? wins / games : 0,
+        )}, average score ${average(totalScore, games)}`,
+    ),
+  ].join("\n");
+}
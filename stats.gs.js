@@ -0,0 +1,343 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The Stats sheet summarizes how each player plays across all the games
+ * recorded in the results sheet (see league.gs.js), league games or not.
+ * Unlike the League sheet it isn't kept up to date after every game, it's
+ * rebuilt from the results on demand.
+ */
+const STATS_SHEET_NAME = "Stats";
+
+const STATS_PLAYER_HEADERS = [
+  "Player",
+  "Games",
+  "Wins",
+  "Win rate",
+  "Average score",
+  "Best score",
+  "Worst score",
+  "Average cards",
+  "Pass rate",
+  "Average pot",
+  "Biggest pot",
+];
+
+// Scores are grouped into buckets of this size for the score distribution
+const STATS_SCORE_BUCKET_SIZE = 10;
+
+const STATS_CHART_SIZE = { WIDTH: 480, HEIGHT: 300 };
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function rebuildStats() {
+  const results = getLeagueResults();
+  if (results.length === 0) {
+    throw new Error(
+      `No recorded games yet, finish a game first (see "${LEAGUE_RESULTS_SHEET_NAME}")`,
+    );
+  }
+
+  renderStats(results);
+  SpreadsheetApp.getActive().toast(
+    `Built from ${new Set(results.map(({ game }) => game)).size} games`,
+    "Stats",
+  );
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Counts what each player did during the game by replaying its actions: how
+ * many times they passed and took a card, how many tokens they collected with
+ * the cards they took, and the biggest pot they took.
+ */
+function computeGameStats(initialGame, actions) {
+  const stats = initialGame.players.map(() => ({
+    passes: 0,
+    takes: 0,
+    tokensTaken: 0,
+    biggestPot: 0,
+  }));
+
+  actions.reduce((game, action) => {
+    const playerStats = stats[game.activePlayer];
+    switch (action) {
+      case "pass":
+        playerStats.passes++;
+        break;
+
+      case "take":
+        playerStats.takes++;
+        playerStats.tokensTaken += game.pool;
+        playerStats.biggestPot = Math.max(playerStats.biggestPot, game.pool);
+        break;
+    }
+    return GAME_ACTIONS[action](game);
+  }, initialGame);
+
+  return stats;
+}
+
+function computePlayerStats(results) {
+  const byPlayer = groupResultsBy(results, ({ player }) => player);
+  return Object.entries(byPlayer).map(([player, playerResults]) => {
+    const scores = playerResults.map(({ score }) => score);
+    const wins = playerResults.filter(({ rank }) => rank === 1).length;
+
+    const passes = sum(playerResults.map(({ passes }) => passes));
+    const takes = sum(playerResults.map(({ takes }) => takes));
+
+    return {
+      player,
+      games: playerResults.length,
+      wins,
+      winRate: wins / playerResults.length,
+      averageScore: sum(scores) / scores.length,
+      bestScore: Math.min(...scores),
+      worstScore: Math.max(...scores),
+      averageCards:
+        sum(playerResults.map(({ cards }) => cards)) / scores.length,
+      passRate: passes + takes > 0 ? passes / (passes + takes) : "",
+      averagePot:
+        takes > 0
+          ? sum(playerResults.map(({ tokensTaken }) => tokensTaken)) / takes
+          : "",
+      biggestPot: Math.max(
+        ...playerResults.map(({ biggestPot }) => biggestPot),
+      ),
+    };
+  });
+}
+
+/**
+ * The win rate of each player from each seat, empty where they never sat.
+ */
+function computeSeatWinRates(results, players) {
+  const seatCount = Math.max(...results.map(({ seat }) => seat));
+  return players.map((player) =>
+    Array.from(xrange(1, seatCount + 1)).map((seat) => {
+      const seatResults = results.filter(
+        (result) => result.player === player && result.seat === seat,
+      );
+      return seatResults.length > 0
+        ? seatResults.filter(({ rank }) => rank === 1).length /
+            seatResults.length
+        : "";
+    }),
+  );
+}
+
+/**
+ * How many of each player's scores fall in each score bucket.
+ */
+function computeScoreDistribution(results, players) {
+  const bucketOf = (score) =>
+    Math.floor(score / STATS_SCORE_BUCKET_SIZE) * STATS_SCORE_BUCKET_SIZE;
+  const buckets = Array.from(
+    new Set(results.map(({ score }) => bucketOf(score))),
+  ).sort(intComparator);
+
+  return buckets.map((bucket) => [
+    `${bucket} to ${bucket + STATS_SCORE_BUCKET_SIZE - 1}`,
+    ...players.map(
+      (player) =>
+        results.filter(
+          (result) =>
+            result.player === player && bucketOf(result.score) === bucket,
+        ).length,
+    ),
+  ]);
+}
+
+/**
+ * Each player's win rate so far after each recorded game, in the order the
+ * games were recorded. Empty until the player's first game.
+ */
+function computeWinRateOverTime(results, players) {
+  const totals = players.map(() => ({ games: 0, wins: 0 }));
+  return Object.values(groupResultsBy(results, ({ game }) => game)).map(
+    (gameResults, i) => {
+      for (const { player, rank } of gameResults) {
+        const total = totals[players.indexOf(player)];
+        total.games++;
+        total.wins += rank === 1 ? 1 : 0;
+      }
+      return [
+        i + 1,
+        ...totals.map(({ games, wins }) => (games > 0 ? wins / games : "")),
+      ];
+    },
+  );
+}
+
+function groupResultsBy(results, keyOf) {
+  const groups = {};
+  for (const result of results) {
+    const key = keyOf(result);
+    if (!(key in groups)) {
+      groups[key] = [];
+    }
+    groups[key].push(result);
+  }
+  return groups;
+}
+
+function sum(numbers) {
+  return numbers.reduce((total, number) => total + number, 0);
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function renderStats(results) {
+  const sheet =
+    SpreadsheetApp.getActive().getSheetByName(STATS_SHEET_NAME) ||
+    insertBackgroundSheet(STATS_SHEET_NAME);
+  sheet.clear();
+  sheet.getCharts().forEach((chart) => sheet.removeChart(chart));
+
+  const playerStats = computePlayerStats(results).sort(
+    (a, b) => b.winRate - a.winRate || a.averageScore - b.averageScore,
+  );
+  const players = playerStats.map(({ player }) => player);
+
+  sheet
+    .getRange(1, 1)
+    .setValue("Player statistics")
+    .setFontSize(16)
+    .setFontWeight("bold");
+
+  // The tables are stacked one under the other, with an empty row in between
+  let row = 3;
+  const playersRange = renderStatsTable(
+    sheet,
+    row,
+    STATS_PLAYER_HEADERS,
+    playerStats.map((stats) => [
+      stats.player,
+      stats.games,
+      stats.wins,
+      stats.winRate,
+      stats.averageScore,
+      stats.bestScore,
+      stats.worstScore,
+      stats.averageCards,
+      stats.passRate,
+      stats.averagePot,
+      stats.biggestPot,
+    ]),
+  );
+  for (const [header, format] of [
+    ["Win rate", "0%"],
+    ["Average score", "0.0"],
+    ["Average cards", "0.0"],
+    ["Pass rate", "0%"],
+    ["Average pot", "0.0"],
+  ]) {
+    statsColumn(
+      playersRange,
+      STATS_PLAYER_HEADERS.indexOf(header),
+    ).setNumberFormat(format);
+  }
+  row += playersRange.getNumRows() + 1;
+
+  const seatWinRates = computeSeatWinRates(results, players);
+  const seatsRange = renderStatsTable(
+    sheet,
+    row,
+    [
+      "Win rate by seat",
+      ...seatWinRates[0].map((_, seat) => `Seat ${seat + 1}`),
+    ],
+    seatWinRates.map((rates, i) => [players[i], ...rates]),
+  );
+  seatsRange
+    .offset(1, 1, players.length, seatWinRates[0].length)
+    .setNumberFormat("0%");
+  row += seatsRange.getNumRows() + 1;
+
+  const distributionRange = renderStatsTable(
+    sheet,
+    row,
+    ["Score", ...players],
+    computeScoreDistribution(results, players),
+  );
+  row += distributionRange.getNumRows() + 1;
+
+  const winRateRange = renderStatsTable(
+    sheet,
+    row,
+    ["Game", ...players],
+    computeWinRateOverTime(results, players),
+  );
+  winRateRange
+    .offset(1, 1, winRateRange.getNumRows() - 1, players.length)
+    .setNumberFormat("0%");
+
+  const chartsColumn = STATS_PLAYER_HEADERS.length + 2;
+  renderStatsChart(
+    sheet,
+    Charts.ChartType.COLUMN,
+    "Score distribution",
+    [distributionRange],
+    3,
+    chartsColumn,
+  );
+  renderStatsChart(
+    sheet,
+    Charts.ChartType.LINE,
+    "Win rate over time",
+    [winRateRange],
+    20,
+    chartsColumn,
+  );
+  renderStatsChart(
+    sheet,
+    Charts.ChartType.BAR,
+    "Pass rate",
+    [
+      statsColumn(playersRange, 0, true),
+      statsColumn(
+        playersRange,
+        STATS_PLAYER_HEADERS.indexOf("Pass rate"),
+        true,
+      ),
+    ],
+    37,
+    chartsColumn,
+  );
+}
+
+/**
+ * Writes a table with a bold header row, and returns its range (including the
+ * header).
+ */
+function renderStatsTable(sheet, row, headers, rows) {
+  const range = sheet
+    .getRange(row, 1, rows.length + 1, headers.length)
+    .setValues([headers, ...rows]);
+  range.offset(0, 0, 1, headers.length).setFontWeight("bold");
+  return range;
+}
+
+function statsColumn(tableRange, column, includeHeader = false) {
+  return tableRange.offset(
+    includeHeader ? 0 : 1,
+    column,
+    tableRange.getNumRows() - (includeHeader ? 0 : 1),
+    1,
+  );
+}
+
+function renderStatsChart(sheet, type, title, ranges, row, column) {
+  const builder = sheet
+    .newChart()
+    .setChartType(type)
+    .setOption("title", title)
+    .setOption("width", STATS_CHART_SIZE.WIDTH)
+    .setOption("height", STATS_CHART_SIZE.HEIGHT)
+    .setNumHeaders(1)
+    .setPosition(row, column, 0, 0);
+  ranges.forEach((range) => builder.addRange(range));
+  sheet.insertChart(builder.build());
+}
@@ -0,0 +1,168 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * A theme decides the colors and font the table is drawn with. The theme is
+ * picked in the settings and kept in the game options, and the table could be
+ * redrawn with another theme at any point of the game.
+ */
+const THEMES = {
+  classic: {
+    title: "Classic",
+    BACKGROUND: "#fff3dc",
+    TEXT: "black",
+    FONT_FAMILY: "Francois One",
+    DECK_BACK: "#1c4587",
+    DECK_TEXT: "red",
+    CARD_FACE: "white",
+    // The frame around the piles and the tokens box
+    PILE_FRAME: "white",
+    PLAYER_AREA_FRAME: "black",
+    // The card numbers are colored by the band of the deck they are in
+    CARD_NUMBER_COLORS: ["#0586ff", "#ff9d14", "#d11500"],
+    // The card borders fade through these colors from the lowest to highest
+    // card
+    CARD_BORDER_COLOR_STOPS: ["#ffe541", "#13e237", "#00a2c0", "#010094"],
+    CARD_TRACKER_COLORS: {
+      UNSEEN: "white",
+      OFFERED: "#ffe599",
+      TAKEN: "#cccccc",
+    },
+  },
+
+  dark: {
+    title: "Dark",
+    BACKGROUND: "#202124",
+    TEXT: "#e8eaed",
+    FONT_FAMILY: "Francois One",
+    DECK_BACK: "#0b2a5b",
+    DECK_TEXT: "#f28b82",
+    CARD_FACE: "#303134",
+    PILE_FRAME: "#5f6368",
+    PLAYER_AREA_FRAME: "#9aa0a6",
+    CARD_NUMBER_COLORS: ["#8ab4f8", "#fdd663", "#f28b82"],
+    CARD_BORDER_COLOR_STOPS: ["#fdd663", "#81c995", "#78d9ec", "#8ab4f8"],
+    CARD_TRACKER_COLORS: {
+      UNSEEN: "#303134",
+      OFFERED: "#5c4d16",
+      TAKEN: "#5f6368",
+    },
+  },
+
+  highContrast: {
+    title: "High contrast",
+    BACKGROUND: "white",
+    TEXT: "black",
+    FONT_FAMILY: "Arial",
+    DECK_BACK: "black",
+    DECK_TEXT: "#ffff00",
+    CARD_FACE: "white",
+    PILE_FRAME: "black",
+    PLAYER_AREA_FRAME: "black",
+    CARD_NUMBER_COLORS: ["#0000cc", "black", "#b00000"],
+    CARD_BORDER_COLOR_STOPS: ["#ff8c00", "#008000", "#0000ff", "#000000"],
+    CARD_TRACKER_COLORS: {
+      UNSEEN: "white",
+      OFFERED: "#ffff00",
+      TAKEN: "#999999",
+    },
+  },
+
+  // Uses the Okabe-Ito colors for the numbers and the viridis gradient for the
+  // borders, which stay apart with any kind of color blindness.
+  colorblind: {
+    title: "Colorblind-safe",
+    BACKGROUND: "#fff3dc",
+    TEXT: "black",
+    FONT_FAMILY: "Francois One",
+    DECK_BACK: "#1c4587",
+    DECK_TEXT: "#e69f00",
+    CARD_FACE: "white",
+    PILE_FRAME: "white",
+    PLAYER_AREA_FRAME: "black",
+    CARD_NUMBER_COLORS: ["#0072b2", "#e69f00", "black"],
+    CARD_BORDER_COLOR_STOPS: [
+      "#fde725",
+      "#5ec962",
+      "#21918c",
+      "#3b528b",
+      "#440154",
+    ],
+    CARD_TRACKER_COLORS: {
+      UNSEEN: "white",
+      OFFERED: "#56b4e9",
+      TAKEN: "#999999",
+    },
+  },
+};
+
+////// USER ACTIONS ////////////////////////////////////////////////////////////
+
+function rethemeTable() {
+  const game = getGameInProgress();
+
+  const ui = SpreadsheetApp.getUi();
+  const themes = Object.keys(THEMES);
+  const response = ui.prompt(
+    "Re-theme current table",
+    `Enter the number of the theme:
+${themes
+  .map(
+    (theme, i) =>
+      `${i + 1} - ${THEMES[theme].title}${
+        theme === game.options.THEME ? " (current)" : ""
+      }`,
+  )
+  .join("\n")}`,
+    ui.ButtonSet.OK_CANCEL,
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const theme = themes[parseInt(response.getResponseText(), 10) - 1];
+  if (theme == null) {
+    throw new Error(`Invalid theme number: ${response.getResponseText()}`);
+  }
+
+  const file = SpreadsheetApp.getActive();
+  const newSheet = file.insertSheet("Re-theming table...");
+  file.setActiveSheet(newSheet);
+
+  singleEntry(() => {
+    try {
+      // Moves could have been played while the prompt was open, so the game
+      // is read again inside the lock. The theme is also changed in the
+      // history so that undo keeps it.
+      const themedGame = withTheme(getGameInProgress(), theme);
+      const history = getHistory();
+      const themedHistory = {
+        ...history,
+        initialGame: withTheme(history.initialGame, theme),
+      };
+
+      renderNewTable(file, newSheet, themedGame.players, themedGame.options);
+      renderGame(newSheet, themedGame);
+      renderSeatAccounts(newSheet, themedGame);
+      // The timer keeps running, it's only redrawn
+      renderTurnTimer(newSheet, themedGame, getTurnTimer());
+
+      setGame(themedGame);
+      setHistory(themedHistory);
+      replaceTableSheet(file, newSheet);
+    } catch (err) {
+      file.deleteSheet(newSheet);
+      throw err;
+    }
+  });
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+function getTheme(options) {
+  return THEMES[options.THEME];
+}
+
+function withTheme(game, theme) {
+  return { ...game, options: { ...game.options, THEME: theme } };
+}
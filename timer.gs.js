@@ -0,0 +1,187 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * An optional time limit for each turn. The time a turn started is kept in the
+ * document properties (the game state itself stays deterministic), and a
+ * time-driven trigger checks every minute whether the active player ran out of
+ * time. The trigger only exists while a turn is being timed.
+ */
+const TURN_TIMER_PROPERTY_NAME = "turnTimer";
+const TURN_TIMER_TRIGGER_HANDLER = "checkTurnTimer";
+const TURN_TIMER_MARKER = "⏱";
+
+// The player is warned when the trigger finds less than this much time left
+const TURN_TIMER_WARNING_MS = 60 * 1000;
+
+////// API HOOKS ///////////////////////////////////////////////////////////////
+
+/**
+ * Called by the time-driven trigger.
+ */
+function checkTurnTimer() {
+  // The turn could be played while we check it, so everything is read and
+  // written inside the lock
+  singleEntry(() => {
+    const game = getGame();
+    const timer = getTurnTimer();
+    if (game == null || timer == null || timer.turn !== getTurnKey(game)) {
+      // Nothing is being timed anymore (or the player made it just in time)
+      removeTurnTimerTrigger();
+      return;
+    }
+
+    const remainingMs =
+      timer.startedAt + getTurnTimeLimitMs(game.options) - Date.now();
+    if (remainingMs > TURN_TIMER_WARNING_MS || timer.timedOut) {
+      return;
+    }
+
+    const sheet = activateTableSheet();
+    if (remainingMs > 0) {
+      if (!timer.warned) {
+        updateTurnTimer(sheet, game, { ...timer, warned: true });
+      }
+      return;
+    }
+
+    if (!game.options.TURN_TIMER.AUTO_PASS) {
+      logTurnTimeout(game, false);
+      updateTurnTimer(sheet, game, { ...timer, timedOut: true });
+      return;
+    }
+
+    logTurnTimeout(game, true);
+    // A player without tokens can't pass
+    playAction(game.tokens[game.activePlayer] > 0 ? "pass" : "take");
+    playBotTurns();
+  });
+}
+
+////// LOGICAL ACTIONS /////////////////////////////////////////////////////////
+
+/**
+ * Restarts the timer whenever the game moves on to a new turn, and stops it
+ * when there is no human turn to time.
+ */
+function syncTurnTimer(sheet, game) {
+  const timer = getTurnTimer();
+  const turn = getTurnKey(game);
+  if (timer != null && timer.turn === turn) {
+    return;
+  }
+
+  if (!isTurnTimed(game)) {
+    if (timer != null) {
+      PropertiesService.getDocumentProperties().deleteProperty(
+        TURN_TIMER_PROPERTY_NAME,
+      );
+      renderTurnTimer(sheet, game, null);
+    }
+    return;
+  }
+
+  const nextTimer = { turn, startedAt: Date.now(), warned: false };
+  setTurnTimer(nextTimer);
+  renderTurnTimer(sheet, game, nextTimer);
+  ensureTurnTimerTrigger();
+}
+
+function isTurnTimed(game) {
+  return (
+    getTurnTimeLimitMs(game.options) > 0 &&
+    game.phase === PHASE.TURN &&
+    !isBotTurn(game)
+  );
+}
+
+/**
+ * Identifies the turn, every action changes at least one of its parts.
+ */
+function getTurnKey(game) {
+  return [
+    game.id,
+    game.phase,
+    game.activePlayer,
+    game.deck.length,
+    game.pool,
+  ].join(":");
+}
+
+function getTurnTimeLimitMs(options) {
+  return options.TURN_TIMER.MINUTES * 60 * 1000;
+}
+
+function ensureTurnTimerTrigger() {
+  if (
+    ScriptApp.getProjectTriggers().some(
+      (trigger) => trigger.getHandlerFunction() === TURN_TIMER_TRIGGER_HANDLER,
+    )
+  ) {
+    return;
+  }
+
+  ScriptApp.newTrigger(TURN_TIMER_TRIGGER_HANDLER)
+    .timeBased()
+    .everyMinutes(1)
+    .create();
+}
+
+function removeTurnTimerTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(
+      (trigger) => trigger.getHandlerFunction() === TURN_TIMER_TRIGGER_HANDLER,
+    )
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+}
+
+////// STATE MANAGEMENT ////////////////////////////////////////////////////////
+
+function getTurnTimer() {
+  return getJsonProperty(TURN_TIMER_PROPERTY_NAME);
+}
+
+function setTurnTimer(timer) {
+  PropertiesService.getDocumentProperties().setProperty(
+    TURN_TIMER_PROPERTY_NAME,
+    JSON.stringify(timer),
+  );
+}
+
+function updateTurnTimer(sheet, game, timer) {
+  setTurnTimer(timer);
+  renderTurnTimer(sheet, game, timer);
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+/**
+ * The timer is shown to the left of the active player marker.
+ */
+function renderTurnTimer(sheet, game, timer) {
+  const timersRange = getLocationAnchor(sheet, "PLAYER1", game.options)
+    .offset(0, -2, game.players.length, 1)
+    .clearContent()
+    .setFontColor(getTheme(game.options).TEXT);
+
+  if (timer == null) {
+    return;
+  }
+
+  const deadline = new Date(timer.startedAt + getTurnTimeLimitMs(game.options));
+  timersRange
+    .offset(game.activePlayer, 0, 1, 1)
+    .setHorizontalAlignment("right")
+    .setFontColor(
+      timer.warned || timer.timedOut ? "red" : getTheme(game.options).TEXT,
+    )
+    .setValue(
+      timer.timedOut
+        ? `${TURN_TIMER_MARKER} ${getMessage("TIME_UP")}`
+        : `${TURN_TIMER_MARKER} ${Utilities.formatDate(
+            deadline,
+            SpreadsheetApp.getActive().getSpreadsheetTimeZone(),
+            "HH:mm",
+          )}`,
+    );
+}
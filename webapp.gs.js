@@ -0,0 +1,122 @@
+// "nothanks_gs", v1.0, by Eran Hirsch, 2020 (Protected under the GPL3)
+// Visit the project at: https://github.com/eranhirsch/nothanks_gs
+
+/**
+ * The game could also be played from a web app (Deploy > New deployment > Web
+ * app, executed as the user accessing it so that bound seats still work),
+ * which is friendlier on phones than the table hotspots. Actions played from
+ * the web app go through the same locked logic as the table and are rendered
+ * on the table too, and the web app page keeps polling the stored game, so
+ * both stay in sync.
+ *
+ * Other clients could use the JSON API: GET with ?format=json returns the
+ * game, and POST with {"action": "<action>"} plays one of WEB_APP_ACTIONS.
+ */
+const WEB_APP_ACTIONS = ["reveal", "pass", "take", "finalScore"];
+
+// The texts of the web app page, in the document's language
+const WEB_APP_MESSAGES = [
+  "WEB_APP_DECK",
+  "WEB_APP_CARD",
+  "WEB_APP_REVEAL",
+  "WEB_APP_TAKE",
+  "WEB_APP_PASS",
+  "WEB_APP_FINAL_SCORE",
+  "WEB_APP_MY_SEAT",
+  "NO_GAME_ERROR",
+];
+
+////// API HOOKS ///////////////////////////////////////////////////////////////
+
+function doGet(e) {
+  if (e != null && e.parameter.format === "json") {
+    return jsonOutput({ ok: true, ...getWebAppState() });
+  }
+
+  const language = getLanguage();
+  const template = HtmlService.createTemplateFromFile("webapp");
+  template.isRightToLeft = language.isRightToLeft;
+  template.messages = Object.fromEntries(
+    WEB_APP_MESSAGES.map((key) => [key, getMessage(key, {}, language)]),
+  );
+  return template
+    .evaluate()
+    .setTitle("No Thanks")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+function doPost(e) {
+  try {
+    let request;
+    try {
+      request = JSON.parse(e.postData.contents);
+    } catch (err) {
+      throw new Error(`The request isn't valid JSON: ${err.message}`);
+    }
+
+    return jsonOutput({ ok: true, ...playWebAppAction(request.action) });
+  } catch (err) {
+    return jsonOutput({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * Called from the web app page, and by doPost.
+ */
+function playWebAppAction(action) {
+  if (!WEB_APP_ACTIONS.includes(action)) {
+    throw new Error(
+      `Unknown action '${action}', expected one of: ${WEB_APP_ACTIONS.join(
+        ", ",
+      )}`,
+    );
+  }
+
+  activateTableSheet();
+  playUserAction(action);
+  return getWebAppState();
+}
+
+/**
+ * Called from the web app page. The game as the user is allowed to see it:
+ * with hidden tokens only the tokens of the seats bound to them are shown.
+ */
+function getWebAppState() {
+  const game = getGame();
+  if (game == null) {
+    return { game: null };
+  }
+
+  const accounts = getSeatAccounts();
+  const email = Session.getActiveUser().getEmail();
+  const tokensHidden = areTokensHidden(game);
+  return {
+    game: {
+      id: game.id,
+      phase: game.phase,
+      currentCard: game.currentCard,
+      pool: game.pool,
+      deckSize: game.deck.length,
+      players: game.players.map((name, player) => ({
+        name,
+        isBot: game.bots != null && game.bots[player] != null,
+        isActive: player === game.activePlayer,
+        isMine: email !== "" && accounts[name] === email,
+        tokens:
+          !tokensHidden || (email !== "" && accounts[name] === email)
+            ? game.tokens[player]
+            : null,
+        hand: game.hands[player],
+        score: game.scores != null ? game.scores[player] : null,
+      })),
+    },
+  };
+}
+
+////// RENDER //////////////////////////////////////////////////////////////////
+
+function jsonOutput(value) {
+  return ContentService.createTextOutput(JSON.stringify(value)).setMimeType(
+    ContentService.MimeType.JSON,
+  );
+}